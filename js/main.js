@@ -1,23 +1,184 @@
 // DO Media Application - Main Entry Point
 class DOMediaApp {
+    // DOMediaApp.use(plugin) from other scripts (the class name shadows window.DOMediaApp there)
+    static use(plugin) {
+        return app.use(plugin);
+    }
+
+    // DOMediaApp.refresh(root) from other scripts, e.g. after swapping in new content
+    static refresh(root) {
+        return app.refresh(root);
+    }
+
     constructor() {
-        this.modules = {
-            navigation: null,
-            animations: null,
-            responsiveHandler: null,
-            buttonEnhancement: null,
-            laptopEnhancement: null
-        };
+        // Ready module instances keyed by registry name
+        this.modules = {};
+
+        // Module definitions and lifecycle state
+        this.registry = ModuleRegistry;
+
+        // Application event bus (legacy DOM events are still dispatched)
+        this.events = EventBus;
+
+        // Plugins added with use(), keyed by name
+        this.plugins = new Map();
+
+        // Owns the content observer when config.mutations.observe is on
+        this.mutationScope = null;
         
         this.state = {
             isInitialized: false,
             isLoaded: false,
-            hasError: false
+            hasError: false,
+            isDegraded: false,
+            disabledModules: []
         };
         
         this.config = {
-            loadTimeout: 10000, // 10 seconds
-            retryAttempts: 3
+            loadTimeout: 10000, // 10 seconds per module init attempt
+            retryAttempts: 3, // attempts per module before it is marked failed
+            retryDelay: 250, // base backoff between attempts, multiplied by attempt number
+            errorReporting: {
+                endpoint: null, // set to enable the beacon transport
+                transports: ['console']
+            },
+            performance: {
+                endpoint: null, // set to enable the beacon sink
+                sinks: ['console']
+            },
+            analytics: {
+                endpoint: null, // set to enable the beacon sink
+                sinks: ['console'] // held until analytics consent, see Consent
+            },
+            experiments: {
+                flags: {}, // flag defaults, see Experiments.config.flags
+                definitions: {} // A/B experiments and their variants
+            },
+            mutations: {
+                observe: false, // refresh and release content as it is added and removed
+                root: 'main', // selector of the element to watch
+                delay: 100 // ms to batch mutations before refreshing
+            },
+            serviceWorker: {
+                enabled: true, // offline support, see sw.js
+                url: 'sw.js',
+                scope: './'
+            },
+            i18n: {
+                defaultLocale: 'en',
+                locales: ['en', 'ar'], // bundles in locales/<locale>.json
+                timeout: 3000 // ms to wait for bundles before starting in the default locale
+            },
+            theme: {
+                preference: 'auto', // 'auto' follows prefers-color-scheme and prefers-contrast
+                themes: {} // token overrides per theme, see ThemeManager.config.themes
+            },
+            consent: {
+                version: 1, // bump to ask every visitor again
+                banner: true
+            },
+            router: {
+                historyMode: 'push', // 'replace' keeps a single history entry
+                scrollOnLoad: true // scroll to the hash once layout settles
+            }
+        };
+
+        // Keys a site may override under "app" in the site configuration
+        this.configSchema = {
+            loadTimeout: { type: 'number', min: 0 },
+            retryAttempts: { type: 'number', min: 1 },
+            retryDelay: { type: 'number', min: 0 },
+            errorReporting: {
+                type: 'object',
+                properties: {
+                    endpoint: { type: 'string' },
+                    transports: { type: 'array' },
+                    maxReportsPerMinute: { type: 'number', min: 0 },
+                    batchSize: { type: 'number', min: 1 },
+                    flushDelay: { type: 'number', min: 0 }
+                }
+            },
+            performance: {
+                type: 'object',
+                properties: {
+                    endpoint: { type: 'string' },
+                    sinks: { type: 'array' },
+                    reportAllChanges: { type: 'boolean' }
+                }
+            },
+            analytics: {
+                type: 'object',
+                properties: {
+                    endpoint: { type: 'string' },
+                    sinks: { type: 'array' },
+                    dataLayerName: { type: 'string' },
+                    exclude: { type: 'array' },
+                    maxQueue: { type: 'number', min: 1 },
+                    batchSize: { type: 'number', min: 1 },
+                    flushDelay: { type: 'number', min: 0 },
+                    sessionTimeout: { type: 'number', min: 0 }
+                }
+            },
+            experiments: {
+                type: 'object',
+                properties: {
+                    flags: { type: 'object' },
+                    definitions: { type: 'object' }
+                }
+            },
+            mutations: {
+                type: 'object',
+                properties: {
+                    observe: { type: 'boolean' },
+                    root: { type: 'string' },
+                    delay: { type: 'number', min: 0 }
+                }
+            },
+            serviceWorker: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean' },
+                    url: { type: 'string' },
+                    scope: { type: 'string' }
+                }
+            },
+            i18n: {
+                type: 'object',
+                properties: {
+                    defaultLocale: { type: 'string' },
+                    locales: { type: 'array' },
+                    rtlLocales: { type: 'array' },
+                    path: { type: 'string' },
+                    queryParam: { type: 'string' },
+                    timeout: { type: 'number', min: 0 }
+                }
+            },
+            theme: {
+                type: 'object',
+                properties: {
+                    preference: { type: 'string' },
+                    storageKey: { type: 'string' },
+                    themes: { type: 'object' }
+                }
+            },
+            consent: {
+                type: 'object',
+                properties: {
+                    version: { type: 'number', min: 1 },
+                    storageKey: { type: 'string' },
+                    banner: { type: 'boolean' },
+                    categories: { type: 'object' }
+                }
+            },
+            router: {
+                type: 'object',
+                properties: {
+                    historyMode: { type: 'string', enum: ['push', 'replace'] },
+                    defaultRoute: { type: 'string' },
+                    scrollOnLoad: { type: 'boolean' },
+                    settleDelay: { type: 'number', min: 0 }
+                }
+            }
         };
     }
 
@@ -30,12 +191,47 @@ class DOMediaApp {
             
             // Wait for DOM to be ready
             await this.waitForDOM();
+
+            // Apply site configuration from markup
+            this.loadSiteConfig();
+
+            // Load the visitor's consent before anything reads or writes storage
+            Consent.init(this.config.consent);
+
+            // Start error reporting before modules so their failures are captured
+            ErrorReporter.init(this.config.errorReporting);
+
+            // Track app events from the start (queued until consent)
+            Analytics.init(this.config.analytics);
+
+            // Resolve flags before modules read them
+            Experiments.init(this.config.experiments);
+
+            // Load strings and set the page direction before modules render text
+            await this.initI18n();
+
+            // Apply theme tokens before modules read colors
+            ThemeManager.init(this.config.theme);
+
+            // Follow the URL hash; modules add their guards and hooks as they start
+            Router.init(this.config.router);
+
+            // Ask for consent once the banner's strings are loaded
+            Consent.prompt();
             
             // Initialize core modules
             await this.initializeModules();
+
+            // Every module and queued plugin has read its section by now
+            SiteConfig.checkSections(['app', ...Object.keys(this.registry.getStates())]);
             
             // Set up global event handlers
             this.setupGlobalEvents();
+
+            // Enhance content swapped in after load (opt-in)
+            if (this.config.mutations.observe) {
+                this.observeMutations();
+            }
             
             // Mark app as loaded
             this.handleLoadComplete();
@@ -62,67 +258,375 @@ class DOMediaApp {
     }
 
     
-     // Initialize all modules
+     // Read site configuration and apply the "app" section
+    
+    loadSiteConfig() {
+        SiteConfig.load();
+        Helpers.deepMerge(this.config, SiteConfig.get('app', this.configSchema));
+    }
+
+    
+     // Initialize all registered modules in dependency order
     
     async initializeModules() {
-        const initPromises = [];
+        const { STATES } = this.registry;
+        const getPending = () => this.registry.resolveOrder().filter(name => {
+            return this.registry.getState(name) === STATES.PENDING;
+        });
 
-        // Initialize ViewportUtils and Helpers (these are synchronous)
-        if (typeof ViewportUtils !== 'undefined') {
-            console.log('ViewportUtils ready');
+        // Repeat so plugins added while modules start are picked up too
+        let pending = getPending();
+        while (pending.length) {
+            for (const name of pending) {
+                await this.initModule(name, this.registry.get(name));
+            }
+            pending = getPending();
         }
-        
-        if (typeof Helpers !== 'undefined') {
-            console.log('Helpers ready');
+
+        if (this.state.disabledModules.length) {
+            this.handleDegraded();
         }
+    }
+
+    
+     // Initialize individual module
+    
+    async initModule(name, definition) {
+        const { STATES } = this.registry;
+
+        try {
+            const blocked = definition.dependencies.find(dependency => {
+                return this.registry.getState(dependency) !== STATES.READY;
+            });
 
-        // Initialize ResponsiveHandler first (other modules may depend on it)
-        if (typeof ResponsiveHandler !== 'undefined') {
-            initPromises.push(this.initModule('responsiveHandler', ResponsiveHandler));
+            if (blocked) {
+                throw new Error(`Dependency "${blocked}" is not ready`);
+            }
+
+            // Site configuration overrides the module's registered options
+            Helpers.deepMerge(definition.options, SiteConfig.get(name, definition.configSchema));
+
+            await this.initWithRetry(name, definition);
+            this.modules[name] = definition.instance;
+            this.registry.setState(name, STATES.READY);
+
+            console.log(`${name} initialized`);
+        } catch (error) {
+            this.registry.setState(name, STATES.FAILED, error);
+
+            if (definition.critical) {
+                console.error(`Failed to initialize ${name}:`, error);
+                throw error;
+            }
+
+            // Non-critical modules are skipped so the rest of the site can start
+            console.warn(`Disabled ${name}:`, error);
+            this.state.disabledModules.push({ name, error });
         }
+    }
+
+    
+     // Load locale bundles, starting in the default locale if they are slow
+    
+    async initI18n() {
+        const { timeout } = this.config.i18n;
 
-        // Initialize Navigation
-        if (typeof Navigation !== 'undefined') {
-            initPromises.push(this.initModule('navigation', Navigation));
+        try {
+            await Helpers.withTimeout(
+                I18n.init(this.config.i18n),
+                timeout,
+                `Locale bundles did not load within ${timeout}ms`
+            );
+        } catch (error) {
+            // Bundled strings cover the page meanwhile; a late bundle still applies its locale
+            console.warn(`I18n: ${error.message}, continuing in "${I18n.getLocale()}"`);
         }
+    }
+
+    
+     // Run a module's init hook with a timeout, retrying on failure
+    
+    async initWithRetry(name, definition) {
+        const timeout = typeof definition.timeout === 'number' ? definition.timeout : this.config.loadTimeout;
+        const attempts = Math.max(1, typeof definition.retryAttempts === 'number'
+            ? definition.retryAttempts
+            : this.config.retryAttempts);
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                console.log(`Initializing ${name}${attempt > 1 ? ` (attempt ${attempt}/${attempts})` : ''}...`);
+
+                await Helpers.withTimeout(
+                    definition.init(definition.options),
+                    timeout,
+                    `${name} did not initialize within ${timeout}ms`
+                );
+                return;
+            } catch (error) {
+                if (attempt === attempts) throw error;
+
+                console.warn(`${name} init attempt ${attempt} failed:`, error);
+
+                // Undo partial setup before trying again
+                if (definition.destroy) {
+                    try {
+                        definition.destroy();
+                    } catch (cleanupError) {
+                        console.error(`Error during ${name} cleanup:`, cleanupError);
+                    }
+                }
 
-        // Initialize Animations last (may depend on other modules)
-        if (typeof Animations !== 'undefined') {
-            initPromises.push(this.initModule('animations', Animations));
+                await Helpers.delay(this.config.retryDelay * attempt);
+            }
         }
+    }
+
+    
+     // Announce which non-critical modules were disabled
+    
+    handleDegraded() {
+        this.state.isDegraded = true;
+
+        const disabled = this.state.disabledModules.map(({ name }) => name);
+        console.warn('Running in degraded mode, disabled modules:', disabled);
 
-        // Initialize Button Enhancement (independent module)
-        if (typeof ButtonEnhancer !== 'undefined') {
-            initPromises.push(this.initModule('buttonEnhancement', ButtonEnhancer));
+        this.state.disabledModules.forEach(({ name, error }) => {
+            ErrorReporter.report(error, { module: name, degraded: true });
+        });
+
+        this.events.emit('app:degraded', {
+            disabled,
+            errors: this.state.disabledModules.map(({ name, error }) => ({
+                name,
+                message: error && error.message ? error.message : String(error)
+            }))
+        });
+    }
+
+    
+     // Get lifecycle state of one module, or of all modules
+    
+    getModuleState(name = null) {
+        return name ? this.registry.getState(name) : this.registry.getStates();
+    }
+
+    /**
+     * Add a plugin
+     *
+     * Plugins are registered as non-critical modules, so they start in dependency order,
+     * receive site configuration and are destroyed with the rest of the app.
+     *
+     * @param {Object} plugin - Plugin definition
+     * @param {string} plugin.name - Unique name, also its key in the site configuration
+     * @param {string[]} [plugin.dependencies] - Modules or plugins that must be ready first (already added)
+     * @param {Object} [plugin.options] - Default options passed to init
+     * @param {Object} [plugin.configSchema] - Site config keys the plugin accepts (see SiteConfig.validate)
+     * @param {Function} [plugin.init] - Called with (options, app), may return a promise
+     * @param {Function} [plugin.destroy] - Called on unload
+     * @param {Function} [plugin.onLoad] - Called with the app:loaded payload
+     * @param {Function} [plugin.onVisibilityChange] - Called with { hidden }
+     * @param {Function} [plugin.onError] - Called with application errors
+     * @param {Function} [plugin.refresh] - Called with the root of newly added content
+     * @param {Function} [plugin.release] - Called with the root of removed content
+     * @param {Object} [plugin.events] - EventBus subscriptions, pattern to handler
+     * @param {Object} [plugin.catalog] - Events the plugin emits, name to payload description
+     * @returns {Promise<string>} Resolves with the plugin's lifecycle state once it has started,
+     *     or immediately with "pending" if the app has not started its modules yet
+     */
+    use(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+            throw new Error('Plugin requires a name');
+        }
+
+        const hooks = ['init', 'destroy', 'refresh', 'release', 'onLoad', 'onVisibilityChange', 'onError'];
+        const invalid = hooks.find(hook => plugin[hook] !== undefined && typeof plugin[hook] !== 'function');
+        if (invalid) {
+            throw new Error(`Plugin "${plugin.name}" ${invalid} must be a function`);
         }
 
-        // Initialize Laptop Enhancement (independent module)
-        if (typeof LaptopEnhancer !== 'undefined') {
-            initPromises.push(this.initModule('laptopEnhancement', LaptopEnhancer));
+        this.registry.register(this.createPluginDefinition(plugin));
+
+        // An unknown or circular dependency would break ordering for every module, not just this one
+        try {
+            this.registry.resolveOrder();
+        } catch (error) {
+            this.registry.unregister(plugin.name);
+            throw new Error(`Plugin "${plugin.name}" not added: ${error.message}`);
+        }
+
+        this.plugins.set(plugin.name, plugin);
+        Object.assign(this.events.CATALOG, plugin.catalog);
+
+        console.log(`Plugin ${plugin.name} registered`);
+
+        // Late plugins start straight away and still get their load hook
+        if (this.state.isLoaded) {
+            return this.initModule(plugin.name, this.registry.get(plugin.name)).then(() => {
+                if (this.registry.getState(plugin.name) === this.registry.STATES.READY) {
+                    this.runPluginHook('onLoad', this.events.getSticky('app:loaded'), [plugin]);
+                }
+                return this.registry.getState(plugin.name);
+            });
         }
 
-        // Wait for all modules to initialize
-        await Promise.all(initPromises);
+        return Promise.resolve(this.registry.getState(plugin.name));
     }
 
     
-     // Initialize individual module
+     // Wrap a plugin in a module definition that manages its event subscriptions
     
-    async initModule(name, module) {
-        try {
-            console.log(`Initializing ${name}...`);
-            
-            if (typeof module.init === 'function') {
-                await module.init();
-                this.modules[name] = module;
-                console.log(`${name} initialized`);
-            } else {
-                console.warn(`${name} module has no init method`);
+    createPluginDefinition(plugin) {
+        let subscriptions = [];
+
+        return {
+            name: plugin.name,
+            dependencies: plugin.dependencies,
+            instance: plugin,
+            options: Helpers.deepMerge({}, plugin.options || {}),
+            configSchema: plugin.configSchema,
+            critical: false,
+            timeout: plugin.timeout,
+            retryAttempts: plugin.retryAttempts,
+            init: async (options) => {
+                if (plugin.init) {
+                    await plugin.init(options, this);
+                }
+
+                subscriptions = Object.entries(plugin.events || {}).map(([pattern, handler]) => {
+                    return this.events.on(pattern, handler.bind(plugin));
+                });
+            },
+            destroy: () => {
+                subscriptions.forEach(unsubscribe => unsubscribe());
+                subscriptions = [];
+
+                if (plugin.destroy) {
+                    plugin.destroy();
+                }
             }
-        } catch (error) {
-            console.error(`Failed to initialize ${name}:`, error);
-            throw error;
+        };
+    }
+
+    /**
+     * Enhance content added to the page
+     *
+     * Translatable markup under an element root is translated, then each ready module with a
+     * refresh hook picks up new sections, links, buttons and mockups. Hooks must be safe to call more than once on the same content.
+     *
+     * @param {Element|Document} root - Container of the new content
+     * @returns {string[]} Modules that were refreshed
+     */
+    refresh(root = document) {
+        // The document was translated on load; doing it again would undo experiment copy
+        if (root !== document) {
+            I18n.translate(root);
         }
+
+        const refreshed = this.runModuleHook('refresh', root);
+        this.events.emit('app:refresh', { root, modules: refreshed });
+        return refreshed;
+    }
+
+    /**
+     * Clean up after content removed from the page
+     *
+     * Modules drop listeners, observers and timers they hold for elements under the root.
+     *
+     * @param {Element} root - Removed container
+     * @returns {string[]} Modules that were released
+     */
+    release(root) {
+        // Dependents let go before the modules they rely on
+        return this.runModuleHook('release', root, { reverse: true });
+    }
+
+    
+     // Call a refresh or release hook on ready modules, isolating failures
+    
+    runModuleHook(hook, root, { reverse = false } = {}) {
+        const order = this.registry.resolveOrder();
+        const names = [];
+
+        (reverse ? order.reverse() : order).forEach(name => {
+            const definition = this.registry.get(name);
+            if (!definition[hook] || this.registry.getState(name) !== this.registry.STATES.READY) return;
+
+            try {
+                definition[hook](root);
+                names.push(name);
+            } catch (error) {
+                console.error(`${name} ${hook} failed:`, error);
+                ErrorReporter.report(error, { module: name, hook });
+            }
+        });
+
+        return names;
+    }
+
+    
+     // Watch the content root and refresh or release elements as they come and go
+    
+    observeMutations() {
+        const { root: selector, delay } = this.config.mutations;
+        const root = document.querySelector(selector);
+
+        if (!root || typeof MutationObserver === 'undefined') {
+            console.warn(`Mutation mode unavailable (root "${selector}")`);
+            return;
+        }
+
+        const added = new Set();
+        const removed = new Set();
+
+        const flush = Helpers.debounce(() => {
+            // Moved nodes appear in both lists; only their final position matters
+            const outermost = (nodes) => nodes.filter(node => {
+                return !nodes.some(other => other !== node && other.contains(node));
+            });
+
+            const removedRoots = outermost([...removed].filter(node => !node.isConnected));
+            const addedRoots = outermost([...added].filter(node => node.isConnected));
+            added.clear();
+            removed.clear();
+
+            removedRoots.forEach(node => this.release(node));
+            addedRoots.forEach(node => this.refresh(node));
+        }, delay);
+
+        const observer = new MutationObserver(records => {
+            records.forEach(record => {
+                record.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) added.add(node);
+                });
+                record.removedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) removed.add(node);
+                });
+            });
+            flush();
+        });
+
+        this.mutationScope = Helpers.createScope('app');
+        this.mutationScope.observe(observer).observe(root, { childList: true, subtree: true });
+        this.mutationScope.add(flush.cancel);
+
+        console.log(' Watching', selector, 'for content changes');
+    }
+
+    
+     // Call a hook on ready plugins, isolating failures
+    
+    runPluginHook(hook, payload, plugins = [...this.plugins.values()]) {
+        plugins.forEach(plugin => {
+            if (typeof plugin[hook] !== 'function') return;
+            if (this.registry.getState(plugin.name) !== this.registry.STATES.READY) return;
+
+            try {
+                plugin[hook](payload, this);
+            } catch (error) {
+                console.error(`Plugin ${plugin.name} ${hook} hook failed:`, error);
+                ErrorReporter.report(error, { plugin: plugin.name, hook });
+            }
+        });
     }
 
     
@@ -149,9 +653,9 @@ class DOMediaApp {
             this.handleGlobalError(event.reason);
         });
 
-        // Handle custom app events
-        document.addEventListener('appError', (event) => {
-            this.handleError(event.detail);
+        // Offer a refresh when the service worker has a new version ready
+        this.events.on('app:update-available', () => {
+            this.showUpdateMessage();
         });
 
         // Performance monitoring
@@ -176,10 +680,12 @@ class DOMediaApp {
         }, 100);
 
         // Dispatch loaded event
-        Helpers.dispatchEvent('appLoaded', {
+        const detail = {
             timestamp: Date.now(),
             modules: Object.keys(this.modules)
-        });
+        };
+        this.events.emit('app:loaded', detail);
+        this.runPluginHook('onLoad', detail);
 
         // Run post-load optimizations
         this.runPostLoadOptimizations();
@@ -196,12 +702,17 @@ class DOMediaApp {
             // Page is visible - resume operations
             this.resumeExpensiveOperations();
         }
+
+        this.runPluginHook('onVisibilityChange', { hidden: document.hidden });
     }
 
     
      // Pause expensive operations
     
     pauseExpensiveOperations() {
+        // Stops every animation frame loop (particles, cursor, smooth scroll)
+        Helpers.ticker.pause();
+
         if (this.modules.animations && typeof this.modules.animations.pauseAnimations === 'function') {
             this.modules.animations.pauseAnimations();
         }
@@ -213,6 +724,8 @@ class DOMediaApp {
      // Resume expensive operations
     
     resumeExpensiveOperations() {
+        Helpers.ticker.resume();
+
         if (this.modules.animations && typeof this.modules.animations.resumeAnimations === 'function') {
             this.modules.animations.resumeAnimations();
         }
@@ -225,17 +738,69 @@ class DOMediaApp {
     
     handleUnload() {
         console.log('Application unloading...');
+
+        if (this.mutationScope) {
+            this.mutationScope.dispose();
+            this.mutationScope = null;
+        }
         
-        // Cleanup modules
-        Object.values(this.modules).forEach(module => {
-            if (module && typeof module.destroy === 'function') {
-                try {
-                    module.destroy();
-                } catch (error) {
-                    console.error('Error during module cleanup:', error);
+        this.destroyModules();
+
+        ThemeManager.destroy();
+        Router.destroy();
+        Consent.destroy();
+        Analytics.destroy();
+
+        // Flush pending error reports and web vitals
+        ErrorReporter.destroy();
+        PerformanceMonitor.flush();
+        PerformanceMonitor.destroy();
+    }
+
+    
+     // Destroy ready modules, dependents before their dependencies
+    
+    destroyModules() {
+        const { STATES } = this.registry;
+        const destroyed = [];
+
+        this.registry.resolveOrder().reverse().forEach(name => {
+            if (this.registry.getState(name) !== STATES.READY) return;
+
+            destroyed.push(name);
+
+            const definition = this.registry.get(name);
+            try {
+                if (definition.destroy) {
+                    definition.destroy();
                 }
+                this.registry.setState(name, STATES.DESTROYED);
+            } catch (error) {
+                this.registry.setState(name, STATES.FAILED, error);
+                console.error(`Error during ${name} cleanup:`, error);
             }
+
+            delete this.modules[name];
         });
+
+        if (this.events.config.debug) {
+            this.checkForLeaks(destroyed);
+        }
+    }
+
+    
+     // Warn about listeners, timers or observers that outlived their module (development check)
+    
+    checkForLeaks(names) {
+        const leaks = Helpers.findLeaks(names);
+
+        if (leaks.length) {
+            console.warn('Resources left behind after destroy:', leaks);
+        } else {
+            console.log(' No leaks after destroying', names.join(', '));
+        }
+
+        return leaks;
     }
 
     
@@ -251,6 +816,11 @@ class DOMediaApp {
         
         // Report error (in production, you might send to analytics)
         this.reportError(error);
+
+        // Let modules react (bridged to the legacy appError DOM event)
+        this.events.emit('app:error', error);
+
+        this.runPluginHook('onError', error);
     }
 
     
@@ -265,63 +835,47 @@ class DOMediaApp {
      // Show error message to user
     
     showErrorMessage() {
-        // Create error notification (simple implementation)
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-notification';
-        errorDiv.innerHTML = `
-            <div class="error-content">
-                <h3>Oops! Something went wrong</h3>
-                <p>We're working to fix this issue. Please refresh the page or try again later.</p>
-                <button onclick="location.reload()" class="error-retry-btn">Refresh Page</button>
-            </div>
-        `;
-        
-        // Add error styles
-        errorDiv.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: rgba(255, 0, 0, 0.9);
-            color: white;
-            padding: 20px;
-            border-radius: 8px;
-            z-index: 10000;
-            max-width: 300px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-        `;
-        
-        document.body.appendChild(errorDiv);
-        
-        // Auto-remove after 10 seconds
-        setTimeout(() => {
-            if (errorDiv.parentNode) {
-                errorDiv.parentNode.removeChild(errorDiv);
-            }
-        }, 10000);
+        // Repeated errors update the same toast instead of stacking new ones
+        return Notifications.error(I18n.t('errors.message'), {
+            key: 'app-error',
+            title: I18n.t('errors.title'),
+            duration: 0, // stays until dismissed, so the refresh action can be reached
+            actions: [
+                { label: I18n.t('errors.refresh'), onClick: () => window.location.reload() }
+            ]
+        });
+    }
+
+    
+     // Offer to reload into the new version
+    
+    showUpdateMessage() {
+        return Notifications.info(I18n.t('update.message'), {
+            key: 'app-update',
+            title: I18n.t('update.title'),
+            duration: 0,
+            actions: [
+                { label: I18n.t('update.refresh'), onClick: () => ServiceWorkerClient.applyUpdate() || window.location.reload() }
+            ]
+        });
     }
 
     /**
-     * Report error (placeholder for analytics)
+     * Report error through the ErrorReporter pipeline
      */
     reportError(error) {
-        // In production, you would send this to your analytics service
-        const errorReport = {
-            message: error.message || 'Unknown error',
-            stack: error.stack || 'No stack trace',
-            timestamp: new Date().toISOString(),
-            url: window.location.href,
-            userAgent: navigator.userAgent,
-            modules: Object.keys(this.modules)
-        };
-        
-        console.log('Error report:', errorReport);
-        
+        return ErrorReporter.report(error, {
+            modules: this.registry.getStates()
+        });
     }
 
     
      // Set up performance monitoring
     
     setupPerformanceMonitoring() {
+        // Core Web Vitals (LCP, CLS, INP, FCP, TTFB)
+        PerformanceMonitor.init(this.config.performance);
+
         // Monitor page load performance
         window.addEventListener('load', () => {
             setTimeout(() => {
@@ -335,16 +889,6 @@ class DOMediaApp {
                 }
             }, 0);
         });
-
-        // Monitor memory usage (if available)
-        if ('memory' in performance) {
-            setInterval(() => {
-                const memory = performance.memory;
-                if (memory.usedJSHeapSize / memory.totalJSHeapSize > 0.9) {
-                    console.warn(' High memory usage detected');
-                }
-            }, 30000); // Check every 30 seconds
-        }
     }
 
     
@@ -359,6 +903,12 @@ class DOMediaApp {
         
         // Clean up unused CSS
         this.cleanupUnusedStyles();
+
+        // Cache the site for offline use and repeat visits
+        if (this.config.serviceWorker.enabled) {
+            const { url, scope } = this.config.serviceWorker;
+            ServiceWorkerClient.init({ url, scope });
+        }
         
         console.log(' Post-load optimizations completed');
     }
@@ -411,9 +961,11 @@ class DOMediaApp {
     getState() {
         return {
             ...this.state,
-            modules: Object.keys(this.modules),
+            modules: this.registry.getStates(),
+            plugins: [...this.plugins.keys()],
             viewport: ViewportUtils ? ViewportUtils.getViewportSize() : null,
-            performance: performance.now()
+            performance: performance.now(),
+            vitals: PerformanceMonitor.getMetrics()
         };
     }
 }
@@ -431,6 +983,20 @@ if (document.readyState === 'loading') {
 // Make app available globally for debugging
 window.DOMediaApp = app;
 
+// Plugins pushed to window.DOMediaPlugins before main.js loaded are added now;
+// later pushes are added straight away
+const queuedPlugins = Array.isArray(window.DOMediaPlugins) ? window.DOMediaPlugins : [];
+window.DOMediaPlugins = {
+    push: (...plugins) => plugins.forEach(plugin => {
+        try {
+            app.use(plugin);
+        } catch (error) {
+            console.error('Failed to add plugin:', error);
+        }
+    })
+};
+window.DOMediaPlugins.push(...queuedPlugins);
+
 // Export for module systems (if needed)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = DOMediaApp;
@@ -13,8 +13,15 @@ const Animations = {
         staggerDelay: 100
     },
 
+    // Owns listeners, timers, observers and subscriptions while initialized
+    scope: null,
+
+    // Elements animated in as they scroll into view
+    scrollSelector: '.hero-content h1, .hero-content p, .cta-button, .laptop-frame, .scroll-animate',
+
     // State
     state: {
+        scrollObserver: null,
         observers: [],
         animatedElements: new Set(),
         isInitialized: false,
@@ -23,9 +30,13 @@ const Animations = {
 
     /**
      * Initialize animations
+     * @param {Object} options - Config overrides
      */
-    init() {
+    init(options = {}) {
         if (this.state.isInitialized) return;
+
+        Helpers.deepMerge(this.config, options);
+        this.scope = Helpers.createScope('animations');
         
         this.checkMotionPreferences();
         this.setupScrollAnimations();
@@ -51,40 +62,35 @@ const Animations = {
 
     /**
      * Set up scroll-triggered animations
+     * @param {Element|Document} root - Where to look for elements to animate
      */
-    setupScrollAnimations() {
+    setupScrollAnimations(root = document) {
         if (this.state.prefersReducedMotion) return;
 
-        // Elements to animate on scroll
-        const animateOnScroll = document.querySelectorAll(`
-            .hero-content h1,
-            .hero-content p,
-            .cta-button,
-            .laptop-frame,
-            .scroll-animate
-        `);
-
         // Create intersection observer
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.animateElement(entry.target);
-                    observer.unobserve(entry.target);
-                }
+        if (!this.state.scrollObserver) {
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.animateElement(entry.target);
+                        observer.unobserve(entry.target);
+                    }
+                });
+            }, {
+                threshold: this.config.intersectionThreshold,
+                rootMargin: this.config.intersectionRootMargin
             });
-        }, {
-            threshold: this.config.intersectionThreshold,
-            rootMargin: this.config.intersectionRootMargin
-        });
+
+            this.state.scrollObserver = this.scope.observe(observer);
+            this.state.observers.push(observer);
+        }
 
         // Observe elements
-        animateOnScroll.forEach(element => {
+        Helpers.queryWithin(root, this.scrollSelector).forEach(element => {
             if (!this.state.animatedElements.has(element)) {
-                observer.observe(element);
+                this.state.scrollObserver.observe(element);
             }
         });
-
-        this.state.observers.push(observer);
     },
 
     /**
@@ -121,7 +127,7 @@ const Animations = {
         element.style.opacity = '0';
         element.style.transform = 'translateY(30px)';
         
-        setTimeout(() => {
+        this.scope.setTimeout(() => {
             element.style.transition = `all ${this.config.animationDuration}ms ${this.config.animationEasing}`;
             element.style.opacity = '1';
             element.style.transform = 'translateY(0)';
@@ -136,13 +142,13 @@ const Animations = {
         element.style.opacity = '0';
         element.style.transform = 'translateX(50px) scale(0.9)';
         
-        setTimeout(() => {
+        this.scope.setTimeout(() => {
             element.style.transition = `all ${this.config.animationDuration * 1.2}ms ${this.config.animationEasing}`;
             element.style.opacity = '1';
             element.style.transform = 'translateX(0) scale(1)';
             
             // Animate screen content after laptop appears
-            setTimeout(() => {
+            this.scope.setTimeout(() => {
                 this.animateScreenContent(element);
             }, this.config.animationDuration * 0.6);
         }, 100);
@@ -159,7 +165,7 @@ const Animations = {
             element.style.opacity = '0';
             element.style.transform = 'translateY(20px)';
             
-            setTimeout(() => {
+            this.scope.setTimeout(() => {
                 element.style.transition = `all ${this.config.animationDuration * 0.8}ms ${this.config.animationEasing}`;
                 element.style.opacity = '1';
                 element.style.transform = 'translateY(0)';
@@ -175,7 +181,7 @@ const Animations = {
         element.style.opacity = '0';
         element.style.transform = 'translateY(20px)';
         
-        setTimeout(() => {
+        this.scope.setTimeout(() => {
             element.style.transition = `all ${this.config.animationDuration}ms ${this.config.animationEasing}`;
             element.style.opacity = '1';
             element.style.transform = 'translateY(0)';
@@ -190,7 +196,7 @@ const Animations = {
         element.style.opacity = '0';
         element.style.transform = 'translateY(30px)';
         
-        setTimeout(() => {
+        this.scope.setTimeout(() => {
             element.style.transition = `all ${this.config.animationDuration}ms ${this.config.animationEasing}`;
             element.style.opacity = '1';
             element.style.transform = 'translateY(0)';
@@ -199,37 +205,29 @@ const Animations = {
 
     /**
      * Set up hover effects
+     * @param {Element|Document} root - Where to look for elements to enhance
      */
-    setupHoverEffects() {
+    setupHoverEffects(root = document) {
         if (this.state.prefersReducedMotion) return;
 
-        // Logo hover effect
-        const logo = document.querySelector('.logo');
-        if (logo) {
-            logo.addEventListener('mouseenter', () => this.handleLogoHover(logo));
-            logo.addEventListener('mouseleave', () => this.handleLogoLeave(logo));
-        }
-
-        // Navigation link hover effects
-        const navLinks = document.querySelectorAll('nav a');
-        navLinks.forEach(link => {
-            link.addEventListener('mouseenter', () => this.handleNavLinkHover(link));
-            link.addEventListener('mouseleave', () => this.handleNavLinkLeave(link));
+        // Logo, navigation links, CTA buttons and laptop frames
+        const effects = [
+            ['.logo', this.handleLogoHover, this.handleLogoLeave],
+            ['nav a', this.handleNavLinkHover, this.handleNavLinkLeave],
+            ['.cta-button', this.handleCTAHover, this.handleCTALeave],
+            ['.laptop-frame', this.handleLaptopHover, this.handleLaptopLeave]
+        ];
+
+        effects.forEach(([selector, enter, leave]) => {
+            Helpers.queryWithin(root, selector).forEach(element => {
+                // Already enhanced by an earlier refresh
+                if (this.scope.hasElement(element)) return;
+
+                const scope = this.scope.forElement(element);
+                scope.listen(element, 'mouseenter', () => enter.call(this, element));
+                scope.listen(element, 'mouseleave', () => leave.call(this, element));
+            });
         });
-
-        // CTA button hover effects
-        const ctaButton = document.querySelector('.cta-button');
-        if (ctaButton) {
-            ctaButton.addEventListener('mouseenter', () => this.handleCTAHover(ctaButton));
-            ctaButton.addEventListener('mouseleave', () => this.handleCTALeave(ctaButton));
-        }
-
-        // Laptop frame hover effect
-        const laptopFrame = document.querySelector('.laptop-frame');
-        if (laptopFrame) {
-            laptopFrame.addEventListener('mouseenter', () => this.handleLaptopHover(laptopFrame));
-            laptopFrame.addEventListener('mouseleave', () => this.handleLaptopLeave(laptopFrame));
-        }
     },
 
     /**
@@ -276,7 +274,7 @@ const Animations = {
      */
     handleCTAHover(button) {
         button.style.transform = 'translateX(5px) scale(1.02)';
-        button.style.boxShadow = '0 8px 25px rgba(0, 0, 0, 0.15)';
+        button.style.boxShadow = `0 8px 25px ${ThemeManager.cssColor('shadow', 0.15)}`;
     },
 
     /**
@@ -298,7 +296,7 @@ const Animations = {
         // Add subtle glow to screen
         const screen = laptop.querySelector('.laptop-screen');
         if (screen) {
-            screen.style.boxShadow = '0 25px 80px rgba(68, 87, 253, 0.3)';
+            screen.style.boxShadow = `0 25px 80px ${ThemeManager.cssColor('accent', 0.3)}`;
         }
     },
 
@@ -311,7 +309,7 @@ const Animations = {
         
         const screen = laptop.querySelector('.laptop-screen');
         if (screen) {
-            screen.style.boxShadow = '0 20px 60px rgba(0, 0, 0, 0.3)';
+            screen.style.boxShadow = `0 20px 60px ${ThemeManager.cssColor('shadow', 0.3)}`;
         }
     },
 
@@ -331,7 +329,7 @@ const Animations = {
             element.style.opacity = '0';
             element.style.transform = 'translateY(-10px)';
             
-            setTimeout(() => {
+            this.scope.setTimeout(() => {
                 element.style.transition = `all ${this.config.animationDuration * 0.8}ms ${this.config.animationEasing}`;
                 element.style.opacity = '1';
                 element.style.transform = 'translateY(0)';
@@ -344,15 +342,15 @@ const Animations = {
      */
     bindEvents() {
         // Listen for motion preference changes
-        window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', (e) => {
+        this.scope.listen(window.matchMedia('(prefers-reduced-motion: reduce)'), 'change', (e) => {
             this.state.prefersReducedMotion = e.matches;
             this.checkMotionPreferences();
         });
 
-        // Listen for custom events
-        document.addEventListener('mobileMenuOpened', () => {
+        // Listen for app events
+        this.scope.add(EventBus.on('nav:menuopen', () => {
             this.animateMobileMenuItems();
-        });
+        }));
     },
 
     /**
@@ -366,7 +364,7 @@ const Animations = {
             item.style.opacity = '0';
             item.style.transform = 'translateX(-20px)';
             
-            setTimeout(() => {
+            this.scope.setTimeout(() => {
                 item.style.transition = `all 300ms ease`;
                 item.style.opacity = '1';
                 item.style.transform = 'translateX(0)';
@@ -393,6 +391,48 @@ const Animations = {
         return animation;
     },
 
+    /**
+     * Replay entrance animations for elements that have already animated in
+     */
+    replayEntranceAnimations() {
+        const elements = [...this.state.animatedElements];
+        this.state.animatedElements.clear();
+
+        elements.forEach(element => {
+            Helpers.removeClass(element, 'animate-in');
+            this.animateElement(element);
+        });
+    },
+
+    /**
+     * Animate and add hover effects to content added to the page
+     * @param {Element|Document} root - Container of the new content
+     */
+    refresh(root = document) {
+        this.setupScrollAnimations(root);
+        this.setupHoverEffects(root);
+    },
+
+    /**
+     * Stop tracking content removed from the page
+     * @param {Element} root - Removed container
+     */
+    release(root) {
+        if (this.state.scrollObserver) {
+            Helpers.queryWithin(root, this.scrollSelector).forEach(element => {
+                this.state.scrollObserver.unobserve(element);
+            });
+        }
+
+        this.state.animatedElements.forEach(element => {
+            if (root === element || root.contains(element)) {
+                this.state.animatedElements.delete(element);
+            }
+        });
+
+        this.scope.release(root);
+    },
+
     /**
      * Pause all animations
      */
@@ -417,11 +457,13 @@ const Animations = {
      * Destroy animations (cleanup)
      */
     destroy() {
-        // Disconnect all observers
-        this.state.observers.forEach(observer => {
-            observer.disconnect();
-        });
+        // Removes hover listeners, pending timers, observers and subscriptions
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
         
+        this.state.scrollObserver = null;
         this.state.observers = [];
         this.state.animatedElements.clear();
         this.state.isInitialized = false;
@@ -430,5 +472,19 @@ const Animations = {
     }
 };
 
+// Register with the application lifecycle (animates elements other modules set up)
+ModuleRegistry.register({
+    name: 'animations',
+    dependencies: ['navigation'],
+    instance: Animations,
+    configSchema: {
+        intersectionThreshold: { type: 'number', min: 0, max: 1 },
+        intersectionRootMargin: { type: 'string' },
+        animationDuration: { type: 'number', min: 0 },
+        animationEasing: { type: 'string' },
+        staggerDelay: { type: 'number', min: 0 }
+    }
+});
+
 // Make Animations available globally
 window.Animations = Animations;
\ No newline at end of file
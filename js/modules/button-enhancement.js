@@ -4,25 +4,36 @@ class ButtonEnhancer {
     constructor() {
         this.ctaButton = null;
         this.isInitialized = false;
-        this.init();
+        this.options = {
+            selector: '.cta-button'
+        };
+
+        // Teardown bookkeeping (the scope owns listeners, timers and observers)
+        this.scope = null;
+        this.injectedNodes = [];
+        this.originalAttributes = {};
+        this.labelNode = null;
+        this.originalLabel = null;
     }
 
-    init() {
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.setup());
-        } else {
-            this.setup();
-        }
+    // Called by the app once the DOM is ready
+    init(options = {}) {
+        if (this.isInitialized) return;
+
+        Helpers.deepMerge(this.options, options);
+        this.scope = Helpers.createScope('buttonEnhancement');
+        this.setup();
     }
 
     setup() {
-        this.ctaButton = document.querySelector('.cta-button');
+        this.ctaButton = document.querySelector(this.options.selector);
         
         if (!this.ctaButton) {
             console.warn('DoMedia: CTA button not found');
             return;
         }
 
+        this.applyLabel();
         this.enhanceVisibility();
         this.addInteractiveEffects();
         this.setupAccessibility();
@@ -32,6 +43,30 @@ class ButtonEnhancer {
         console.log('DoMedia: Button enhancements loaded successfully');
     }
 
+    // Swap the button text when an experiment sets a CTA label
+    applyLabel() {
+        const label = Experiments.getFlag('ctaLabel');
+        if (typeof label !== 'string') return;
+
+        this.labelNode = Array.from(this.ctaButton.childNodes).find(node => {
+            return node.nodeType === Node.TEXT_NODE && node.textContent.trim();
+        });
+        if (!this.labelNode) return;
+
+        this.originalLabel = this.labelNode.textContent;
+        this.labelNode.textContent = ` ${label} `;
+    }
+
+    getLabel() {
+        return this.ctaButton.textContent.trim() || I18n.t('hero.cta');
+    }
+
+    // Markup was retranslated: keep the experiment label and refresh the ARIA text
+    handleLocaleChange() {
+        this.applyLabel();
+        this.updateAccessibleText();
+    }
+
     enhanceVisibility() {
         // Add visibility enhancement class
         this.ctaButton.classList.add('enhanced-visibility');
@@ -44,6 +79,8 @@ class ButtonEnhancer {
     }
 
     checkButtonVisibility() {
+        if (!('IntersectionObserver' in window)) return;
+
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
@@ -53,24 +90,27 @@ class ButtonEnhancer {
                     // Button is not visible
                     this.ctaButton.classList.remove('in-viewport');
                 }
+
+                EventBus.emit('cta:visibilitychange', { visible: entry.isIntersecting });
             });
         }, {
             threshold: 0.5
         });
 
         observer.observe(this.ctaButton);
+        this.scope.observe(observer);
     }
 
     setupScrollMonitoring() {
         let scrollTimeout;
         
-        window.addEventListener('scroll', () => {
-            clearTimeout(scrollTimeout);
+        this.scope.listen(window, 'scroll', () => {
+            this.scope.clearTimer(scrollTimeout);
             
             // Add scrolling class for enhanced visibility during scroll
             this.ctaButton.classList.add('scrolling');
             
-            scrollTimeout = setTimeout(() => {
+            scrollTimeout = this.scope.setTimeout(() => {
                 this.ctaButton.classList.remove('scrolling');
             }, 150);
         }, { passive: true });
@@ -78,28 +118,29 @@ class ButtonEnhancer {
 
     addInteractiveEffects() {
         // Enhanced click effect with ripple
-        this.ctaButton.addEventListener('click', (e) => {
+        this.scope.listen(this.ctaButton, 'click', (e) => {
             this.createRipple(e);
             this.addFeedbackEffect();
         });
 
         // Enhanced hover effects
-        this.ctaButton.addEventListener('mouseenter', () => {
+        this.scope.listen(this.ctaButton, 'mouseenter', () => {
             this.addHoverEffect();
         });
 
-        this.ctaButton.addEventListener('mouseleave', () => {
+        this.scope.listen(this.ctaButton, 'mouseleave', () => {
             this.removeHoverEffect();
         });
 
         // Mouse move effect for dynamic interaction
-        this.ctaButton.addEventListener('mousemove', (e) => {
+        this.scope.listen(this.ctaButton, 'mousemove', (e) => {
             this.addMouseMoveEffect(e);
         });
     }
 
     createRipple(e) {
         const ripple = document.createElement('span');
+        ripple.className = 'button-ripple';
         const rect = this.ctaButton.getBoundingClientRect();
         const size = Math.max(rect.width, rect.height);
         const x = e.clientX - rect.left - size / 2;
@@ -111,7 +152,7 @@ class ButtonEnhancer {
             height: ${size}px;
             left: ${x}px;
             top: ${y}px;
-            background: rgba(255, 255, 255, 0.4);
+            background: ${ThemeManager.cssColor('foreground', 0.4)};
             border-radius: 50%;
             transform: scale(0);
             animation: buttonRipple 0.6s ease-out;
@@ -132,7 +173,7 @@ class ButtonEnhancer {
                 }
                 
                 .enhanced-visibility.scrolling {
-                    box-shadow: 0 6px 20px rgba(0, 0, 0, 0.3), 0 3px 10px rgba(255, 255, 255, 0.2) inset !important;
+                    box-shadow: 0 6px 20px ${ThemeManager.cssColor('shadow', 0.3)}, 0 3px 10px ${ThemeManager.cssColor('foreground', 0.2)} inset !important;
                 }
                 
                 .enhanced-visibility.in-viewport {
@@ -140,10 +181,11 @@ class ButtonEnhancer {
                 }
             `;
             document.head.appendChild(style);
+            this.injectedNodes.push(style);
         }
 
         this.ctaButton.appendChild(ripple);
-        setTimeout(() => ripple.remove(), 600);
+        this.scope.setTimeout(() => ripple.remove(), 600);
     }
 
     addFeedbackEffect() {
@@ -151,27 +193,28 @@ class ButtonEnhancer {
         this.ctaButton.style.transform = 'scale(0.96)';
         this.ctaButton.style.transition = 'transform 0.1s ease';
         
-        setTimeout(() => {
+        this.scope.setTimeout(() => {
             this.ctaButton.style.transform = '';
             this.ctaButton.style.transition = '';
         }, 100);
 
-        // Haptic feedback for supported devices
-        if (navigator.vibrate) {
+        // Haptic feedback for supported devices, once the visitor allows it
+        if (navigator.vibrate && Consent.isGranted('functional')) {
             navigator.vibrate([50, 30, 50]);
         }
     }
 
     addHoverEffect() {
         // Dynamic gradient shift on hover
-        this.ctaButton.style.background = 'rgba(255, 255, 255, 0.3)';
-        this.ctaButton.style.borderColor = 'rgba(255, 255, 255, 0.6)';
+        this.ctaButton.style.background = ThemeManager.cssColor('foreground', 0.3);
+        this.ctaButton.style.borderColor = ThemeManager.cssColor('foreground', 0.6);
     }
 
     removeHoverEffect() {
-        // Reset to default state
+        // Reset to default state, including the mouse move tilt
         this.ctaButton.style.background = '';
         this.ctaButton.style.borderColor = '';
+        this.ctaButton.style.transform = '';
     }
 
     addMouseMoveEffect(e) {
@@ -187,57 +230,68 @@ class ButtonEnhancer {
         const tiltY = deltaX * -5;
         
         this.ctaButton.style.transform = `perspective(1000px) rotateX(${tiltX}deg) rotateY(${tiltY}deg) translateZ(0)`;
-        
-        // Reset transform when mouse leaves
-        this.ctaButton.addEventListener('mouseleave', () => {
-            this.ctaButton.style.transform = '';
-        }, { once: true });
     }
 
     setupAccessibility() {
         // Enhanced keyboard navigation
-        this.ctaButton.addEventListener('keydown', (e) => {
+        this.scope.listen(this.ctaButton, 'keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
                 this.createKeyboardEffect();
                 
-                setTimeout(() => {
+                this.scope.setTimeout(() => {
                     this.ctaButton.click();
                 }, 150);
             }
         });
 
         // Focus enhancements
-        this.ctaButton.addEventListener('focus', () => {
+        this.scope.listen(this.ctaButton, 'focus', () => {
             this.ctaButton.classList.add('keyboard-focused');
         });
 
-        this.ctaButton.addEventListener('blur', () => {
+        this.scope.listen(this.ctaButton, 'blur', () => {
             this.ctaButton.classList.remove('keyboard-focused');
         });
 
+        // Remember markup attributes so destroy() can restore them
+        ['role', 'aria-label', 'aria-describedby'].forEach(attribute => {
+            this.originalAttributes[attribute] = this.ctaButton.getAttribute(attribute);
+        });
+
         // Add ARIA enhancements
         this.ctaButton.setAttribute('role', 'button');
-        this.ctaButton.setAttribute('aria-label', 'Get Started - Begin your digital transformation journey');
         
         // Add description for screen readers
         if (!document.querySelector('#cta-description')) {
             const description = document.createElement('div');
             description.id = 'cta-description';
             description.className = 'sr-only';
-            description.textContent = 'Click to start exploring our digital solutions and services';
             document.body.appendChild(description);
+            this.injectedNodes.push(description);
             
             this.ctaButton.setAttribute('aria-describedby', 'cta-description');
         }
+
+        this.updateAccessibleText();
+        this.scope.add(EventBus.on('i18n:localechange', () => this.handleLocaleChange(), { replay: false }));
+    }
+
+    updateAccessibleText() {
+        this.ctaButton.setAttribute('aria-label', I18n.t('hero.ctaLabel', { label: this.getLabel() }));
+
+        const description = document.querySelector('#cta-description');
+        if (description && this.injectedNodes.includes(description)) {
+            description.textContent = I18n.t('hero.ctaDescription');
+        }
     }
 
     createKeyboardEffect() {
         // Visual feedback for keyboard interaction
-        this.ctaButton.style.boxShadow = '0 0 0 4px rgba(255, 255, 255, 0.3), 0 6px 20px rgba(0, 0, 0, 0.25)';
+        this.ctaButton.style.boxShadow = `0 0 0 4px ${ThemeManager.cssColor('foreground', 0.3)}, 0 6px 20px ${ThemeManager.cssColor('shadow', 0.25)}`;
         this.ctaButton.style.transform = 'scale(1.05)';
         
-        setTimeout(() => {
+        this.scope.setTimeout(() => {
             this.ctaButton.style.boxShadow = '';
             this.ctaButton.style.transform = '';
         }, 200);
@@ -245,7 +299,7 @@ class ButtonEnhancer {
 
     addTouchEnhancements() {
         // Enhanced touch interactions
-        this.ctaButton.addEventListener('touchstart', (e) => {
+        this.scope.listen(this.ctaButton, 'touchstart', (e) => {
             this.ctaButton.classList.add('touch-active');
             
             // Create touch ripple effect
@@ -257,28 +311,43 @@ class ButtonEnhancer {
             this.createRipple(rippleEvent);
         }, { passive: true });
 
-        this.ctaButton.addEventListener('touchend', () => {
-            setTimeout(() => {
+        this.scope.listen(this.ctaButton, 'touchend', () => {
+            this.scope.setTimeout(() => {
                 this.ctaButton.classList.remove('touch-active');
             }, 200);
         }, { passive: true });
 
         // Prevent double-tap zoom on the button
-        this.ctaButton.addEventListener('touchend', (e) => {
+        this.scope.listen(this.ctaButton, 'touchend', (e) => {
             e.preventDefault();
         });
     }
 
+    // Start over when the CTA was swapped for new markup
+    refresh() {
+        if (this.isInitialized && this.ctaButton === document.querySelector(this.options.selector)) return;
+
+        this.destroy();
+        this.init();
+    }
+
+    // Tear down when the CTA is removed from the page
+    release(root) {
+        if (this.ctaButton && (root === this.ctaButton || root.contains(this.ctaButton))) {
+            this.destroy();
+        }
+    }
+
     // Public method to manually trigger visibility enhancement
     enhanceVisibilityNow() {
         if (!this.isInitialized || !this.ctaButton) return;
         
         this.ctaButton.style.animation = 'none';
-        this.ctaButton.style.background = 'rgba(255, 255, 255, 0.35)';
-        this.ctaButton.style.borderColor = 'rgba(255, 255, 255, 0.7)';
-        this.ctaButton.style.boxShadow = '0 8px 30px rgba(0, 0, 0, 0.3), 0 4px 15px rgba(255, 255, 255, 0.2) inset';
+        this.ctaButton.style.background = ThemeManager.cssColor('foreground', 0.35);
+        this.ctaButton.style.borderColor = ThemeManager.cssColor('foreground', 0.7);
+        this.ctaButton.style.boxShadow = `0 8px 30px ${ThemeManager.cssColor('shadow', 0.3)}, 0 4px 15px ${ThemeManager.cssColor('foreground', 0.2)} inset`;
         
-        setTimeout(() => {
+        this.scope.setTimeout(() => {
             this.ctaButton.style.animation = '';
             this.ctaButton.style.background = '';
             this.ctaButton.style.borderColor = '';
@@ -301,10 +370,68 @@ class ButtonEnhancer {
             isKeyboardFocused: this.ctaButton.classList.contains('keyboard-focused')
         };
     }
+
+    // Public method to get module state
+    getState() {
+        return {
+            isInitialized: this.isInitialized,
+            hasButton: !!this.ctaButton,
+            options: { ...this.options },
+            visibility: this.getVisibilityState()
+        };
+    }
+
+    // Remove every listener, timer, observer and injected node
+    destroy() {
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+
+        this.injectedNodes.forEach(node => node.remove());
+        this.injectedNodes = [];
+
+        if (this.ctaButton) {
+            this.ctaButton.querySelectorAll('.button-ripple').forEach(ripple => ripple.remove());
+            this.ctaButton.classList.remove('enhanced-visibility', 'in-viewport', 'scrolling', 'touch-active', 'keyboard-focused');
+            ['transform', 'transition', 'background', 'borderColor', 'boxShadow', 'animation'].forEach(property => {
+                this.ctaButton.style[property] = '';
+            });
+
+            Object.entries(this.originalAttributes).forEach(([attribute, value]) => {
+                if (value === null) {
+                    this.ctaButton.removeAttribute(attribute);
+                } else {
+                    this.ctaButton.setAttribute(attribute, value);
+                }
+            });
+        }
+
+        if (this.labelNode) {
+            this.labelNode.textContent = this.originalLabel;
+        }
+
+        this.originalAttributes = {};
+        this.labelNode = null;
+        this.originalLabel = null;
+        this.ctaButton = null;
+        this.isInitialized = false;
+        console.log('DoMedia: Button enhancements destroyed');
+    }
 }
 
-// Initialize button enhancer
+// Module instance, initialized by the app
 const buttonEnhancer = new ButtonEnhancer();
 
+// Register with the application lifecycle
+ModuleRegistry.register({
+    name: 'buttonEnhancement',
+    instance: buttonEnhancer,
+    configSchema: {
+        selector: { type: 'string' }
+    }
+});
+
 // Make globally available for debugging and manual enhancement
+window.ButtonEnhancer = ButtonEnhancer;
 window.buttonEnhancer = buttonEnhancer;
\ No newline at end of file
@@ -0,0 +1,345 @@
+/**
+ * Developer Overlay Module
+ * In-page panel showing module status, breakpoint, navigation, animations, events and FPS
+ * Toggle with Alt+Shift+D or open with ?debug=1
+ */
+
+const DevOverlay = {
+    // Configuration
+    config: {
+        queryParam: 'debug',
+        toggleCode: 'KeyD',
+        refreshInterval: 500,
+        maxLogEntries: 30
+    },
+
+    // DOM elements
+    elements: {
+        panel: null,
+        style: null,
+        sections: {},
+        log: null
+    },
+
+    // Scopes for the module and for the open panel's live updates
+    scope: null,
+    panelScope: null,
+
+    // State
+    state: {
+        isVisible: false,
+        fps: 0,
+        isInitialized: false
+    },
+
+    /**
+     * Initialize the overlay (the panel itself is built on first show)
+     * @param {Object} options - Config overrides
+     */
+    init(options = {}) {
+        if (this.state.isInitialized) return;
+
+        Helpers.deepMerge(this.config, options);
+
+        this.scope = Helpers.createScope('devOverlay');
+        this.scope.listen(document, 'keydown', (e) => this.handleKeydown(e));
+
+        this.state.isInitialized = true;
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.get(this.config.queryParam) === '1') {
+            this.show();
+        }
+    },
+
+    /**
+     * Toggle on Alt+Shift+D
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        if (e.altKey && e.shiftKey && e.code === this.config.toggleCode) {
+            e.preventDefault();
+            this.toggle();
+        }
+    },
+
+    /**
+     * Toggle the overlay
+     */
+    toggle() {
+        if (this.state.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    },
+
+    /**
+     * Show the overlay and start live updates
+     */
+    show() {
+        if (this.state.isVisible) return;
+
+        if (!this.elements.panel) {
+            this.render();
+        }
+
+        this.elements.panel.hidden = false;
+        this.state.isVisible = true;
+
+        // Capture every bus event while open
+        this.panelScope = Helpers.createScope('devOverlay');
+        this.panelScope.add(EventBus.on('*', (detail, event) => this.logEvent(event), { replay: false }));
+        this.startFPSCounter();
+        this.panelScope.setInterval(() => this.update(), this.config.refreshInterval);
+        this.update();
+    },
+
+    /**
+     * Hide the overlay and stop live updates
+     */
+    hide() {
+        if (!this.state.isVisible) return;
+
+        this.elements.panel.hidden = true;
+        this.state.isVisible = false;
+
+        this.panelScope.dispose();
+        this.panelScope = null;
+    },
+
+    /**
+     * Build the panel
+     */
+    render() {
+        this.injectStyles();
+
+        const panel = document.createElement('aside');
+        panel.className = 'dev-overlay';
+        panel.setAttribute('aria-label', 'Developer overlay');
+
+        const header = document.createElement('div');
+        header.className = 'dev-overlay-header';
+        const title = document.createElement('strong');
+        title.textContent = 'DoMedia debug';
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.textContent = '×';
+        close.setAttribute('aria-label', 'Close developer overlay');
+        this.scope.listen(close, 'click', () => this.hide());
+        header.append(title, close);
+        panel.appendChild(header);
+
+        ['modules', 'viewport', 'navigation', 'animations', 'performance', 'resources'].forEach(name => {
+            const section = document.createElement('section');
+            const heading = document.createElement('h4');
+            heading.textContent = name;
+            const body = document.createElement('pre');
+            section.append(heading, body);
+            panel.appendChild(section);
+            this.elements.sections[name] = body;
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'dev-overlay-actions';
+        [
+            ['Laptop attention', () => window.laptopEnhancer && window.laptopEnhancer.triggerAttentionEffect()],
+            ['Enhance CTA', () => window.buttonEnhancer && window.buttonEnhancer.enhanceVisibilityNow()],
+            ['Replay entrances', () => Animations.replayEntranceAnimations()]
+        ].forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            this.scope.listen(button, 'click', action);
+            actions.appendChild(button);
+        });
+        panel.appendChild(actions);
+
+        const logHeading = document.createElement('h4');
+        logHeading.textContent = 'events';
+        const log = document.createElement('ol');
+        log.className = 'dev-overlay-log';
+        panel.append(logHeading, log);
+
+        document.body.appendChild(panel);
+        this.elements.panel = panel;
+        this.elements.log = log;
+    },
+
+    /**
+     * Inject overlay styles
+     */
+    injectStyles() {
+        if (document.querySelector('#dev-overlay-style')) return;
+
+        const style = document.createElement('style');
+        style.id = 'dev-overlay-style';
+        style.textContent = `
+            .dev-overlay {
+                position: fixed;
+                bottom: 12px;
+                left: 12px;
+                z-index: 10001;
+                width: 320px;
+                max-height: 80vh;
+                overflow: auto;
+                padding: 10px 12px;
+                background: rgba(10, 12, 30, 0.92);
+                color: #e6e9ff;
+                font: 11px/1.4 Menlo, Consolas, monospace;
+                border-radius: 8px;
+                box-shadow: 0 8px 30px rgba(0, 0, 0, 0.4);
+            }
+            .dev-overlay[hidden] { display: none; }
+            .dev-overlay-header { display: flex; justify-content: space-between; align-items: center; }
+            .dev-overlay h4 { margin: 8px 0 2px; font-size: 10px; text-transform: uppercase; opacity: 0.6; }
+            .dev-overlay pre { margin: 0; white-space: pre-wrap; }
+            .dev-overlay button {
+                font: inherit;
+                color: inherit;
+                background: rgba(255, 255, 255, 0.12);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 4px;
+                padding: 2px 6px;
+                cursor: pointer;
+            }
+            .dev-overlay-actions { display: flex; flex-wrap: wrap; gap: 4px; margin-top: 8px; }
+            .dev-overlay-log { margin: 0; padding-left: 18px; max-height: 160px; overflow: auto; }
+        `;
+        document.head.appendChild(style);
+        this.elements.style = style;
+    },
+
+    /**
+     * Refresh every section
+     */
+    update() {
+        const { sections } = this.elements;
+        const format = (data) => Object.entries(data).map(([key, value]) => `${key}: ${value}`).join('\n');
+
+        sections.modules.textContent = format(ModuleRegistry.getStates());
+
+        const viewport = ViewportUtils.getViewportSize();
+        sections.viewport.textContent = format({
+            breakpoint: ViewportUtils.getCurrentBreakpoint(),
+            size: `${viewport.width}×${viewport.height}`,
+            theme: `${ThemeManager.getTheme()} (${ThemeManager.getPreference()})`
+        });
+
+        const navigation = Navigation.getState();
+        sections.navigation.textContent = format({
+            activeSection: navigation.currentSection,
+            mobileMenuOpen: navigation.isMobileMenuOpen,
+            isMobile: navigation.isMobile
+        });
+
+        sections.animations.textContent = format({
+            observers: Animations.state.observers.length,
+            animatedElements: Animations.state.animatedElements.size,
+            reducedMotion: Animations.state.prefersReducedMotion
+        });
+
+        sections.performance.textContent = format({
+            fps: this.state.fps,
+            frameCallbacks: Helpers.ticker.getState().subscribers,
+            ...Object.fromEntries(Object.values(PerformanceMonitor.getMetrics()).map(metric => {
+                return [metric.name, `${metric.value} (${metric.rating})`];
+            }))
+        });
+
+        // Listeners, timers, observers, cleanups and element scopes per owner (element scopes share its name)
+        const resources = {};
+        Helpers.scopes.forEach(scope => {
+            const { name, ...counts } = scope.getState();
+            const total = resources[name] || { listeners: 0, timers: 0, observers: 0, cleanups: 0, elements: 0 };
+            Object.keys(total).forEach(key => {
+                total[key] += counts[key];
+            });
+            resources[name] = total;
+        });
+        sections.resources.textContent = format(Object.fromEntries(Object.entries(resources).map(([name, total]) => {
+            const { listeners, timers, observers, cleanups, elements } = total;
+            return [name, `${listeners}L ${timers}T ${observers}O ${cleanups}C ${elements}E`];
+        })));
+    },
+
+    /**
+     * Add an event to the live log
+     * @param {Object} event - Bus event
+     */
+    logEvent(event) {
+        const item = document.createElement('li');
+        const time = new Date(event.timestamp).toLocaleTimeString();
+        item.textContent = `${time} ${event.name}`;
+        this.elements.log.prepend(item);
+
+        while (this.elements.log.children.length > this.config.maxLogEntries) {
+            this.elements.log.lastChild.remove();
+        }
+    },
+
+    /**
+     * Count frames per second while visible
+     */
+    startFPSCounter() {
+        let frames = 0;
+        let last = performance.now();
+
+        this.panelScope.add(Helpers.ticker.add(now => {
+            frames++;
+            if (now - last >= 1000) {
+                this.state.fps = Math.round((frames * 1000) / (now - last));
+                frames = 0;
+                last = now;
+            }
+        }, { essential: true }));
+    },
+
+    /**
+     * Get overlay state
+     * @returns {Object} Current state
+     */
+    getState() {
+        return {
+            isVisible: this.state.isVisible,
+            fps: this.state.fps
+        };
+    },
+
+    /**
+     * Destroy the overlay (cleanup)
+     */
+    destroy() {
+        this.hide();
+
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+
+        if (this.elements.panel) this.elements.panel.remove();
+        if (this.elements.style) this.elements.style.remove();
+
+        this.elements.panel = null;
+        this.elements.style = null;
+        this.elements.sections = {};
+        this.elements.log = null;
+        this.state.isInitialized = false;
+    }
+};
+
+// Register with the application lifecycle (never blocks the site)
+ModuleRegistry.register({
+    name: 'devOverlay',
+    critical: false,
+    instance: DevOverlay,
+    configSchema: {
+        queryParam: { type: 'string' },
+        toggleCode: { type: 'string' },
+        refreshInterval: { type: 'number', min: 100 },
+        maxLogEntries: { type: 'number', min: 1 }
+    }
+});
+
+// Make DevOverlay available globally
+window.DevOverlay = DevOverlay;
@@ -0,0 +1,365 @@
+/**
+ * Engagement Module
+ * Records how visitors engage with the page and emits each signal on the bus for Analytics:
+ *
+ * - engagement:scrolldepth  the first time the page is scrolled past each milestone
+ * - engagement:sectiontime  how long a section stayed in view, when it leaves view or the page is hidden
+ * - engagement:ctaseen      the first time the hero CTA is in view (ButtonEnhancer's in-viewport state)
+ * - engagement:rageclick    a burst of clicks on the same spot of the laptop mockup
+ */
+
+const Engagement = {
+    // Configuration
+    config: {
+        milestones: [25, 50, 75, 100], // scroll depth in percent
+        scrollThrottle: 250,
+        sectionSelector: 'main section, [data-section]',
+        sectionThreshold: 0.5, // share of a section, or of the viewport, that must be visible to count as viewed
+        minSectionTime: 1000, // ms; shorter views are not reported
+        rageClicks: {
+            selector: '.laptop-image',
+            count: 4, // a double click opens the preview, so two clicks are not enough
+            window: 1000, // ms the clicks must fall within
+            radius: 30 // px the clicks must fall within
+        }
+    },
+
+    // Owns listeners, observers and bus subscriptions while initialized
+    scope: null,
+
+    // State
+    state: {
+        maxDepth: 0,
+        reached: new Set(),
+        sectionObserver: null,
+        sections: new Map(), // element -> { name, visibleSince, total }
+        pausedSections: [], // in view when the page was hidden
+        ctaSeen: false,
+        clicks: [],
+        startTime: 0,
+        isInitialized: false
+    },
+
+    /**
+     * Start recording engagement
+     * @param {Object} options - Config overrides
+     */
+    init(options = {}) {
+        if (this.state.isInitialized) return;
+
+        // Milestones are replaced as a list, not merged index by index
+        const { milestones, ...rest } = options;
+        Helpers.deepMerge(this.config, rest);
+        if (milestones) {
+            this.config.milestones = [...milestones].sort((a, b) => a - b);
+        }
+
+        this.scope = Helpers.createScope('engagement');
+        this.state.startTime = performance.now();
+
+        this.trackScrollDepth();
+        this.trackSections();
+        this.trackCTA();
+        this.trackRageClicks();
+
+        this.scope.listen(document, 'visibilitychange', () => this.handleVisibilityChange());
+        this.scope.listen(window, 'pagehide', () => this.flushSections('pagehide'));
+
+        this.state.isInitialized = true;
+    },
+
+    /**
+     * Report scroll depth milestones as they are passed
+     */
+    trackScrollDepth() {
+        this.scope.add(ViewportUtils.onScroll(({ progress }) => {
+            this.updateScrollDepth(progress);
+        }, this.config.scrollThrottle));
+
+        // Short pages (and reloads part way down) have already reached some depth
+        this.updateScrollDepth(ViewportUtils.getScrollProgress());
+    },
+
+    /**
+     * Record a scroll position and emit any milestones it passes
+     * @param {number} progress - Scroll progress from 0 to 1
+     */
+    updateScrollDepth(progress) {
+        const depth = Math.round(progress * 100);
+        if (depth <= this.state.maxDepth) return;
+
+        this.state.maxDepth = depth;
+        this.config.milestones.forEach(milestone => {
+            if (depth >= milestone && !this.state.reached.has(milestone)) {
+                this.state.reached.add(milestone);
+                EventBus.emit('engagement:scrolldepth', { depth: milestone, maxDepth: depth });
+            }
+        });
+    },
+
+    /**
+     * Time how long each section stays in view
+     */
+    trackSections() {
+        if (!('IntersectionObserver' in window)) return;
+
+        this.state.sectionObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting && this.getVisibleShare(entry) >= this.config.sectionThreshold) {
+                    this.startSection(entry.target);
+                } else {
+                    this.stopSection(entry.target, 'exit');
+                }
+            });
+        }, {
+            // Fine steps, so sections taller than the viewport report as their share of it changes
+            threshold: [...Array.from({ length: 21 }, (_, step) => step / 20), this.config.sectionThreshold]
+        });
+        this.scope.observe(this.state.sectionObserver);
+
+        this.observeSections(document);
+    },
+
+    /**
+     * Share of a section in view, or of the viewport it fills if larger (tall sections never show half)
+     * @param {IntersectionObserverEntry} entry - Observer entry
+     * @returns {number} Visible share from 0 to 1
+     */
+    getVisibleShare(entry) {
+        const viewportHeight = entry.rootBounds ? entry.rootBounds.height : window.innerHeight;
+        const viewportShare = viewportHeight > 0 ? entry.intersectionRect.height / viewportHeight : 0;
+
+        return Math.max(entry.intersectionRatio, viewportShare);
+    },
+
+    /**
+     * Start timing sections under a root that are not tracked yet
+     * @param {Element|Document} root - Subtree to search
+     */
+    observeSections(root) {
+        if (!this.state.sectionObserver) return;
+
+        Helpers.queryWithin(root, this.config.sectionSelector).forEach(element => {
+            if (this.state.sections.has(element)) return;
+
+            this.state.sections.set(element, {
+                name: this.getSectionName(element),
+                visibleSince: null,
+                total: 0
+            });
+            this.state.sectionObserver.observe(element);
+        });
+    },
+
+    /**
+     * Name a section for reporting
+     * @param {Element} element - Section element
+     * @returns {string} data-section value, id or first class name
+     */
+    getSectionName(element) {
+        return element.getAttribute('data-section') || element.id || element.classList[0] || element.tagName.toLowerCase();
+    },
+
+    /**
+     * Mark a section as in view
+     * @param {Element} element - Section element
+     */
+    startSection(element) {
+        const section = this.state.sections.get(element);
+        if (!section || section.visibleSince !== null || document.visibilityState === 'hidden') return;
+
+        section.visibleSince = performance.now();
+    },
+
+    /**
+     * Stop timing a section and report the view if it was long enough
+     * @param {Element} element - Section element
+     * @param {string} reason - Why timing stopped: exit, hidden, pagehide or removed
+     */
+    stopSection(element, reason) {
+        const section = this.state.sections.get(element);
+        if (!section || section.visibleSince === null) return;
+
+        const duration = Math.round(performance.now() - section.visibleSince);
+        section.visibleSince = null;
+
+        if (duration < this.config.minSectionTime) return;
+
+        section.total += duration;
+        EventBus.emit('engagement:sectiontime', {
+            section: section.name,
+            duration,
+            total: section.total,
+            reason
+        });
+    },
+
+    /**
+     * Stop timing every section in view
+     * @param {string} reason - Why timing stopped
+     * @returns {Element[]} Sections that were in view
+     */
+    flushSections(reason) {
+        const visible = [];
+        this.state.sections.forEach((section, element) => {
+            if (section.visibleSince !== null) {
+                visible.push(element);
+                this.stopSection(element, reason);
+            }
+        });
+        return visible;
+    },
+
+    /**
+     * Pause section timing while the page is hidden and resume when it is back
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.state.pausedSections = this.flushSections('hidden');
+        } else {
+            this.state.pausedSections.forEach(element => this.startSection(element));
+            this.state.pausedSections = [];
+        }
+    },
+
+    /**
+     * Report the first time the hero CTA is in view
+     */
+    trackCTA() {
+        // Sticky, so a CTA that was already in view before this module started still counts
+        this.scope.add(EventBus.on('cta:visibilitychange', ({ visible }) => {
+            if (!visible || this.state.ctaSeen) return;
+
+            this.state.ctaSeen = true;
+            EventBus.emit('engagement:ctaseen', {
+                time: Math.round(performance.now() - this.state.startTime)
+            });
+        }));
+    },
+
+    /**
+     * Watch for bursts of clicks on the laptop mockup
+     */
+    trackRageClicks() {
+        // Delegated, so a swapped-in mockup is covered without a refresh
+        this.scope.listen(document, 'click', (e) => {
+            const target = e.target.closest(this.config.rageClicks.selector);
+            if (target) {
+                this.handleClick(e, target);
+            }
+        });
+    },
+
+    /**
+     * Count a click towards a rage-click burst
+     * @param {MouseEvent} e - Click event
+     * @param {Element} target - Matched element
+     */
+    handleClick(e, target) {
+        const { count, window: duration, radius } = this.config.rageClicks;
+        const now = e.timeStamp || performance.now();
+
+        // Keep recent clicks near this one; anything else starts a new burst
+        this.state.clicks = this.state.clicks.filter(click => {
+            return now - click.time <= duration && Math.hypot(e.clientX - click.x, e.clientY - click.y) <= radius;
+        });
+        this.state.clicks.push({ time: now, x: e.clientX, y: e.clientY });
+
+        if (this.state.clicks.length >= count) {
+            EventBus.emit('engagement:rageclick', {
+                target: this.config.rageClicks.selector,
+                clicks: this.state.clicks.length
+            });
+            this.state.clicks = [];
+        }
+    },
+
+    /**
+     * Start timing sections added under a root
+     * @param {Element|Document} root - Refreshed subtree
+     */
+    refresh(root = document) {
+        this.observeSections(root);
+    },
+
+    /**
+     * Report and stop timing sections removed under a root
+     * @param {Element} root - Removed container
+     */
+    release(root) {
+        this.state.sections.forEach((section, element) => {
+            if (root === element || root.contains(element)) {
+                this.stopSection(element, 'removed');
+                if (this.state.sectionObserver) {
+                    this.state.sectionObserver.unobserve(element);
+                }
+                this.state.sections.delete(element);
+            }
+        });
+    },
+
+    /**
+     * Get engagement state
+     * @returns {Object} Depth reached, time per section, CTA and click state
+     */
+    getState() {
+        const sections = {};
+        this.state.sections.forEach(section => {
+            sections[section.name] = section.total;
+        });
+
+        return {
+            maxDepth: this.state.maxDepth,
+            milestones: [...this.state.reached],
+            sections,
+            ctaSeen: this.state.ctaSeen
+        };
+    },
+
+    /**
+     * Report sections still in view and stop recording (cleanup)
+     */
+    destroy() {
+        this.flushSections('destroy');
+
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+
+        this.state.maxDepth = 0;
+        this.state.reached = new Set();
+        this.state.sectionObserver = null;
+        this.state.sections = new Map();
+        this.state.pausedSections = [];
+        this.state.ctaSeen = false;
+        this.state.clicks = [];
+        this.state.isInitialized = false;
+    }
+};
+
+// Register with the application lifecycle (never blocks the site)
+ModuleRegistry.register({
+    name: 'engagement',
+    critical: false,
+    instance: Engagement,
+    configSchema: {
+        milestones: { type: 'array' },
+        scrollThrottle: { type: 'number', min: 0 },
+        sectionSelector: { type: 'string' },
+        sectionThreshold: { type: 'number', min: 0, max: 1 },
+        minSectionTime: { type: 'number', min: 0 },
+        rageClicks: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string' },
+                count: { type: 'number', min: 2 },
+                window: { type: 'number', min: 0 },
+                radius: { type: 'number', min: 0 }
+            }
+        }
+    }
+});
+
+// Make Engagement available globally
+window.Engagement = Engagement;
@@ -10,15 +10,34 @@ class LaptopEnhancer {
             threshold: 0.3,
             rootMargin: '50px'
         };
-        this.init();
+        this.options = {
+            attentionInterval: 10000,
+            // Image max-width per ResponsiveHandler breakpoint
+            sizes: {
+                xs: '450px',
+                sm: '520px',
+                md: '580px',
+                lg: '700px',
+                xl: '800px'
+            }
+        };
+
+        // Teardown bookkeeping (the scope owns listeners, timers and observers)
+        this.scope = null;
+        this.injectedNodes = [];
+        this.styledElements = new Set();
+        this.originalAttributes = {};
     }
 
-    init() {
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.setup());
-        } else {
-            this.setup();
-        }
+    // Called by the app once the DOM is ready
+    init(options = {}) {
+        if (this.isInitialized) return;
+
+        const { observerOptions, ...rest } = options;
+        Helpers.deepMerge(this.options, rest);
+        Helpers.deepMerge(this.observerOptions, observerOptions);
+        this.scope = Helpers.createScope('laptopEnhancement');
+        this.setup();
     }
 
     setup() {
@@ -45,36 +64,23 @@ class LaptopEnhancer {
         this.laptopImage = document.querySelector('.laptop-image');
         this.laptopFrame = document.querySelector('.laptop-frame');
         this.laptopShowcase = document.querySelector('.laptop-showcase');
+
+        [this.laptopContainer, this.laptopImage, this.laptopFrame, this.laptopShowcase]
+            .filter(Boolean)
+            .forEach(element => this.styledElements.add(element));
     }
 
     enhanceLaptopSize() {
         // Dynamic size adjustment based on viewport
         this.adjustSizeForViewport();
         
-        // Monitor window resize for dynamic adjustments
-        window.addEventListener('resize', () => {
-            this.debounce(() => this.adjustSizeForViewport(), 250);
-        });
+        // Re-apply sizes whenever the breakpoint changes
+        this.scope.add(EventBus.on('viewport:breakpointchange', () => this.adjustSizeForViewport()));
     }
 
     adjustSizeForViewport() {
-        const viewportWidth = window.innerWidth;
-        let maxWidth;
-        
-        // Calculate optimal size based on viewport
-        if (viewportWidth >= 1400) {
-            maxWidth = '800px';
-        } else if (viewportWidth >= 1200) {
-            maxWidth = '750px';
-        } else if (viewportWidth >= 992) {
-            maxWidth = '650px';
-        } else if (viewportWidth >= 768) {
-            maxWidth = '580px';
-        } else if (viewportWidth >= 576) {
-            maxWidth = '520px';
-        } else {
-            maxWidth = '450px';
-        }
+        const breakpoint = ResponsiveHandler.getCurrentBreakpoint();
+        const maxWidth = this.options.sizes[breakpoint] || this.options.sizes.xs;
 
         // Apply enhanced sizes
         if (this.laptopImage) {
@@ -98,26 +104,26 @@ class LaptopEnhancer {
         const targetElement = this.laptopContainer || this.laptopImage;
 
         // Enhanced hover effects
-        targetElement.addEventListener('mouseenter', (e) => {
+        this.scope.listen(targetElement, 'mouseenter', (e) => {
             this.handleMouseEnter(e);
         });
 
-        targetElement.addEventListener('mouseleave', (e) => {
+        this.scope.listen(targetElement, 'mouseleave', (e) => {
             this.handleMouseLeave(e);
         });
 
         // Mouse move for dynamic 3D effects
-        targetElement.addEventListener('mousemove', (e) => {
+        this.scope.listen(targetElement, 'mousemove', (e) => {
             this.handleMouseMove(e);
         });
 
         // Click interaction with feedback
-        targetElement.addEventListener('click', (e) => {
+        this.scope.listen(targetElement, 'click', (e) => {
             this.handleClick(e);
         });
 
         // Double-click for fullscreen preview
-        targetElement.addEventListener('dblclick', (e) => {
+        this.scope.listen(targetElement, 'dblclick', (e) => {
             this.handleDoubleClick(e);
         });
     }
@@ -129,11 +135,11 @@ class LaptopEnhancer {
         element.style.transition = 'all 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
         
         if (window.innerWidth > 768) {
-            element.style.transform = 'perspective(1500px) rotateY(-5deg) rotateX(0deg) translateY(-15px) scale(1.02)';
+            element.style.transform = 'perspective(1500px) rotateY(calc(-5deg * var(--laptop-tilt-direction))) rotateX(0deg) translateY(-15px) scale(1.02)';
         }
         
         // Add glow effect
-        element.style.filter = 'drop-shadow(0 30px 60px rgba(0, 0, 0, 0.5)) drop-shadow(0 0 30px rgba(68, 87, 253, 0.3))';
+        element.style.filter = `drop-shadow(0 30px 60px ${ThemeManager.cssColor('shadow', 0.5)}) drop-shadow(0 0 30px ${ThemeManager.cssColor('accent', 0.3)})`;
         
         // Trigger screen content animation
         this.animateScreenContent();
@@ -158,8 +164,9 @@ class LaptopEnhancer {
         const deltaX = (e.clientX - centerX) / rect.width;
         const deltaY = (e.clientY - centerY) / rect.height;
         
-        // Dynamic 3D rotation based on mouse position
-        const rotateY = -10 + (deltaX * 10);
+        // Dynamic 3D rotation based on mouse position (mirrored in right-to-left layouts)
+        const direction = this.getTiltDirection();
+        const rotateY = direction * (-10 + (deltaX * direction * 10));
         const rotateX = 1 + (deltaY * -5);
         const translateY = -15 + (deltaY * -5);
         
@@ -173,7 +180,7 @@ class LaptopEnhancer {
         element.style.transition = 'all 0.1s ease';
         element.style.transform = element.style.transform.replace('scale(1.02)', 'scale(1.01)');
         
-        setTimeout(() => {
+        this.scope.setTimeout(() => {
             element.style.transition = 'all 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
             element.style.transform = element.style.transform.replace('scale(1.01)', 'scale(1.02)');
         }, 100);
@@ -181,8 +188,8 @@ class LaptopEnhancer {
         // Ripple effect
         this.createRippleEffect(e);
         
-        // Haptic feedback for supported devices
-        if (navigator.vibrate) {
+        // Haptic feedback for supported devices, once the visitor allows it
+        if (navigator.vibrate && Consent.isGranted('functional')) {
             navigator.vibrate([30, 10, 30]);
         }
     }
@@ -197,6 +204,7 @@ class LaptopEnhancer {
         const rect = element.getBoundingClientRect();
         
         const ripple = document.createElement('div');
+        ripple.className = 'laptop-ripple';
         const size = Math.max(rect.width, rect.height) * 0.8;
         const x = e.clientX - rect.left - size / 2;
         const y = e.clientY - rect.top - size / 2;
@@ -207,7 +215,7 @@ class LaptopEnhancer {
             height: ${size}px;
             left: ${x}px;
             top: ${y}px;
-            background: radial-gradient(circle, rgba(255, 255, 255, 0.3) 0%, transparent 70%);
+            background: radial-gradient(circle, ${ThemeManager.cssColor('foreground', 0.3)} 0%, transparent 70%);
             border-radius: 50%;
             transform: scale(0);
             animation: laptopRipple 0.8s ease-out forwards;
@@ -228,10 +236,11 @@ class LaptopEnhancer {
                 }
             `;
             document.head.appendChild(style);
+            this.injectedNodes.push(style);
         }
         
         element.appendChild(ripple);
-        setTimeout(() => ripple.remove(), 800);
+        this.scope.setTimeout(() => ripple.remove(), 800);
     }
 
     animateScreenContent() {
@@ -249,16 +258,22 @@ class LaptopEnhancer {
             top: 50%;
             left: 50%;
             transform: translate(-50%, -50%);
-            color: rgba(255, 255, 255, 0.9);
+            color: ${ThemeManager.cssColor('foreground', 0.9)};
             font-size: 10px;
             text-align: center;
             animation: screenPulse 2s ease-in-out infinite;
         `;
         
-        screenContent.innerHTML = `
-            <div style="margin-bottom: 8px;">🚀 DO Media</div>
-            <div style="font-size: 8px; opacity: 0.7;">Digital Solutions</div>
-        `;
+        const screenTitle = document.createElement('div');
+        screenTitle.style.marginBottom = '8px';
+        screenTitle.textContent = `🚀 ${I18n.t('laptop.screenTitle')}`;
+
+        const screenSubtitle = document.createElement('div');
+        screenSubtitle.style.fontSize = '8px';
+        screenSubtitle.style.opacity = '0.7';
+        screenSubtitle.textContent = I18n.t('laptop.screenSubtitle');
+
+        screenContent.append(screenTitle, screenSubtitle);
         
         // Add screen pulse animation
         if (!document.querySelector('#screen-pulse-style')) {
@@ -271,12 +286,13 @@ class LaptopEnhancer {
                 }
             `;
             document.head.appendChild(style);
+            this.injectedNodes.push(style);
         }
         
         screenOverlay.appendChild(screenContent);
         
         // Remove after animation
-        setTimeout(() => {
+        this.scope.setTimeout(() => {
             if (screenContent.parentNode) {
                 screenContent.remove();
             }
@@ -298,6 +314,10 @@ class LaptopEnhancer {
         }, this.observerOptions);
         
         elements.forEach(element => observer.observe(element));
+        this.scope.observe(observer);
+        this.scope.add(() => {
+            elements.forEach(element => element.classList.remove('laptop-visible'));
+        });
     }
 
     triggerEnhancedAnimation(element) {
@@ -313,14 +333,14 @@ class LaptopEnhancer {
         const targetElement = this.laptopContainer || this.laptopImage;
         
         // Touch start
-        targetElement.addEventListener('touchstart', (e) => {
+        this.scope.listen(targetElement, 'touchstart', (e) => {
             targetElement.style.transition = 'all 0.2s ease';
-            targetElement.style.transform = 'perspective(1200px) rotateY(-5deg) rotateX(0deg) scale(0.98)';
+            targetElement.style.transform = 'perspective(1200px) rotateY(calc(-5deg * var(--laptop-tilt-direction))) rotateX(0deg) scale(0.98)';
         }, { passive: true });
         
         // Touch end
-        targetElement.addEventListener('touchend', () => {
-            setTimeout(() => {
+        this.scope.listen(targetElement, 'touchend', () => {
+            this.scope.setTimeout(() => {
                 targetElement.style.transition = 'all 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
                 targetElement.style.transform = '';
             }, 100);
@@ -329,17 +349,25 @@ class LaptopEnhancer {
 
     setupAccessibility() {
         if (!this.laptopImage) return;
-        
-        // Enhanced alt text
-        this.laptopImage.setAttribute('alt', 'Interactive laptop mockup showcasing DO Media digital solutions - Click to explore');
+
+        // Remember markup attributes so destroy() can restore them
+        ['alt', 'role', 'tabindex', 'aria-label'].forEach(attribute => {
+            this.originalAttributes[attribute] = this.laptopImage.getAttribute(attribute);
+        });
         
         // Add ARIA attributes
         this.laptopImage.setAttribute('role', 'img');
         this.laptopImage.setAttribute('tabindex', '0');
-        this.laptopImage.setAttribute('aria-label', 'DO Media laptop showcase - Interactive preview of our digital platform');
+        this.updateAccessibleText();
+
+        // Markup was retranslated: remember the new alt for destroy() and apply ours again
+        this.scope.add(EventBus.on('i18n:localechange', () => {
+            this.originalAttributes.alt = this.laptopImage.getAttribute('alt');
+            this.updateAccessibleText();
+        }, { replay: false }));
         
         // Keyboard interaction
-        this.laptopImage.addEventListener('keydown', (e) => {
+        this.scope.listen(this.laptopImage, 'keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
                 this.handleClick(e);
@@ -347,32 +375,43 @@ class LaptopEnhancer {
         });
         
         // Focus enhancement
-        this.laptopImage.addEventListener('focus', () => {
-            this.laptopImage.style.outline = '3px solid rgba(255, 255, 255, 0.6)';
+        this.scope.listen(this.laptopImage, 'focus', () => {
+            this.laptopImage.style.outline = `3px solid ${ThemeManager.cssColor('foreground', 0.6)}`;
             this.laptopImage.style.outlineOffset = '8px';
         });
         
-        this.laptopImage.addEventListener('blur', () => {
+        this.scope.listen(this.laptopImage, 'blur', () => {
             this.laptopImage.style.outline = '';
             this.laptopImage.style.outlineOffset = '';
         });
     }
 
+    updateAccessibleText() {
+        // Enhanced alt text
+        this.laptopImage.setAttribute('alt', I18n.t('laptop.interactiveAlt'));
+        this.laptopImage.setAttribute('aria-label', I18n.t('laptop.label'));
+    }
+
+    // 1 for left-to-right layouts, -1 to mirror the tilt in right-to-left ones
+    getTiltDirection() {
+        return I18n.isRTL() ? -1 : 1;
+    }
+
     addDynamicEffects() {
         // Parallax effect on scroll
-        window.addEventListener('scroll', () => {
+        this.scope.listen(window, 'scroll', () => {
             if (!this.laptopContainer) return;
             
             const scrollY = window.pageYOffset;
             const rate = scrollY * -0.1;
             
-            this.laptopContainer.style.transform = `perspective(1500px) rotateY(-10deg) rotateX(1deg) translateY(${rate}px)`;
+            this.laptopContainer.style.transform = `perspective(1500px) rotateY(calc(-10deg * var(--laptop-tilt-direction))) rotateX(1deg) translateY(${rate}px)`;
         }, { passive: true });
         
         // Auto-enhancement timer
-        setInterval(() => {
+        this.scope.setInterval(() => {
             this.performPeriodicEnhancement();
-        }, 10000); // Every 10 seconds
+        }, this.options.attentionInterval); // Every 10 seconds by default
     }
 
     performPeriodicEnhancement() {
@@ -388,19 +427,22 @@ class LaptopEnhancer {
             style.id = 'laptop-attention-style';
             style.textContent = `
                 @keyframes laptopAttention {
-                    0%, 100% { transform: perspective(1500px) rotateY(-10deg) rotateX(1deg); }
-                    50% { transform: perspective(1500px) rotateY(-8deg) rotateX(0deg) translateY(-5px); }
+                    0%, 100% { transform: perspective(1500px) rotateY(calc(-10deg * var(--laptop-tilt-direction))) rotateX(1deg); }
+                    50% { transform: perspective(1500px) rotateY(calc(-8deg * var(--laptop-tilt-direction))) rotateX(0deg) translateY(-5px); }
                 }
             `;
             document.head.appendChild(style);
+            this.injectedNodes.push(style);
         }
         
-        setTimeout(() => {
+        this.scope.setTimeout(() => {
             element.style.animation = '';
         }, 2000);
     }
 
     showFullscreenPreview() {
+        EventBus.emit('laptop:previewopen');
+
         // Create fullscreen overlay
         const overlay = document.createElement('div');
         overlay.className = 'laptop-fullscreen-overlay';
@@ -410,7 +452,7 @@ class LaptopEnhancer {
             left: 0;
             right: 0;
             bottom: 0;
-            background: rgba(0, 0, 0, 0.9);
+            background: ${ThemeManager.cssColor('backdrop', 0.9)};
             backdrop-filter: blur(10px);
             z-index: 10000;
             display: flex;
@@ -427,20 +469,21 @@ class LaptopEnhancer {
             max-height: 90vh;
             width: auto;
             height: auto;
-            filter: drop-shadow(0 20px 60px rgba(0, 0, 0, 0.8));
+            filter: drop-shadow(0 20px 60px ${ThemeManager.cssColor('shadow', 0.8)});
             animation: zoomIn 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275);
         `;
         
         // Add close button
         const closeButton = document.createElement('button');
         closeButton.innerHTML = '×';
+        closeButton.setAttribute('aria-label', I18n.t('laptop.closePreview'));
         closeButton.style.cssText = `
             position: absolute;
             top: 20px;
             right: 30px;
-            background: rgba(255, 255, 255, 0.2);
-            border: 2px solid rgba(255, 255, 255, 0.5);
-            color: white;
+            background: ${ThemeManager.cssColor('foreground', 0.2)};
+            border: 2px solid ${ThemeManager.cssColor('foreground', 0.5)};
+            color: var(--theme-foreground);
             font-size: 40px;
             width: 60px;
             height: 60px;
@@ -452,15 +495,18 @@ class LaptopEnhancer {
             transition: all 0.3s ease;
         `;
         
-        closeButton.addEventListener('mouseover', () => {
-            closeButton.style.background = 'rgba(255, 255, 255, 0.3)';
+        // Listeners for this overlay, removed when it closes
+        const removeListeners = [];
+
+        removeListeners.push(this.scope.listen(closeButton, 'mouseover', () => {
+            closeButton.style.background = ThemeManager.cssColor('foreground', 0.3);
             closeButton.style.transform = 'scale(1.1)';
-        });
+        }));
         
-        closeButton.addEventListener('mouseout', () => {
-            closeButton.style.background = 'rgba(255, 255, 255, 0.2)';
+        removeListeners.push(this.scope.listen(closeButton, 'mouseout', () => {
+            closeButton.style.background = ThemeManager.cssColor('foreground', 0.2);
             closeButton.style.transform = 'scale(1)';
-        });
+        }));
         
         // Add animations CSS
         if (!document.querySelector('#fullscreen-animations')) {
@@ -481,29 +527,30 @@ class LaptopEnhancer {
                 }
             `;
             document.head.appendChild(style);
+            this.injectedNodes.push(style);
         }
         
         // Close handlers
         const closeFullscreen = () => {
+            removeListeners.forEach(remove => remove());
             overlay.style.animation = 'fadeOut 0.3s ease';
-            setTimeout(() => overlay.remove(), 300);
+            this.scope.setTimeout(() => overlay.remove(), 300);
         };
         
-        overlay.addEventListener('click', closeFullscreen);
-        closeButton.addEventListener('click', closeFullscreen);
-        
+        removeListeners.push(this.scope.listen(overlay, 'click', closeFullscreen));
+        removeListeners.push(this.scope.listen(closeButton, 'click', closeFullscreen));
+
         // ESC key to close
-        const handleEscape = (e) => {
+        removeListeners.push(this.scope.listen(document, 'keydown', (e) => {
             if (e.key === 'Escape') {
                 closeFullscreen();
-                document.removeEventListener('keydown', handleEscape);
             }
-        };
-        document.addEventListener('keydown', handleEscape);
+        }));
         
         overlay.appendChild(enlargedImage);
         overlay.appendChild(closeButton);
         document.body.appendChild(overlay);
+        this.injectedNodes.push(overlay);
     }
 
     // Utility functions
@@ -531,6 +578,27 @@ class LaptopEnhancer {
         };
     }
 
+    // Start over when the mockup was swapped for new markup
+    refresh() {
+        const isCurrent = this.laptopContainer === document.querySelector('.laptop-container') &&
+            this.laptopImage === document.querySelector('.laptop-image');
+        if (this.isInitialized && isCurrent) return;
+
+        this.destroy();
+        this.init();
+    }
+
+    // Tear down when the mockup is removed from the page
+    release(root) {
+        const isRemoved = [this.laptopContainer, this.laptopImage].some(element => {
+            return element && (root === element || root.contains(element));
+        });
+
+        if (isRemoved) {
+            this.destroy();
+        }
+    }
+
     // Public methods for manual control
     enhanceSizeNow() {
         this.adjustSizeForViewport();
@@ -550,10 +618,85 @@ class LaptopEnhancer {
             isVisible: this.isElementInViewport(this.laptopContainer || this.laptopImage)
         };
     }
+
+    // Public method to get module state
+    getState() {
+        return {
+            ...this.getEnhancementState(),
+            options: { ...this.options },
+            observerOptions: { ...this.observerOptions }
+        };
+    }
+
+    // Remove every listener, timer, observer and injected node
+    destroy() {
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+
+        this.injectedNodes.forEach(node => node.remove());
+        this.injectedNodes = [];
+        document.querySelectorAll('.laptop-ripple, .dynamic-screen-content').forEach(node => node.remove());
+
+        this.styledElements.forEach(element => {
+            ['transform', 'transition', 'filter', 'animation', 'maxWidth', 'outline', 'outlineOffset'].forEach(property => {
+                element.style[property] = '';
+            });
+        });
+        this.styledElements.clear();
+
+        if (this.laptopImage) {
+            Object.entries(this.originalAttributes).forEach(([attribute, value]) => {
+                if (value === null) {
+                    this.laptopImage.removeAttribute(attribute);
+                } else {
+                    this.laptopImage.setAttribute(attribute, value);
+                }
+            });
+        }
+
+        this.originalAttributes = {};
+        this.laptopContainer = null;
+        this.laptopImage = null;
+        this.laptopFrame = null;
+        this.laptopShowcase = null;
+        this.isInitialized = false;
+        console.log('DoMedia: Laptop enhancement destroyed');
+    }
 }
 
-// Initialize laptop enhancer
+// Module instance, initialized by the app
 const laptopEnhancer = new LaptopEnhancer();
 
+// Register with the application lifecycle
+ModuleRegistry.register({
+    name: 'laptopEnhancement',
+    dependencies: ['responsiveHandler'],
+    critical: false,
+    instance: laptopEnhancer,
+    configSchema: {
+        attentionInterval: { type: 'number', min: 1000 },
+        sizes: {
+            type: 'object',
+            properties: {
+                xs: { type: 'string' },
+                sm: { type: 'string' },
+                md: { type: 'string' },
+                lg: { type: 'string' },
+                xl: { type: 'string' }
+            }
+        },
+        observerOptions: {
+            type: 'object',
+            properties: {
+                threshold: { type: 'number', min: 0, max: 1 },
+                rootMargin: { type: 'string' }
+            }
+        }
+    }
+});
+
 // Make globally available for debugging and manual enhancement
+window.LaptopEnhancer = LaptopEnhancer;
 window.laptopEnhancer = laptopEnhancer;
\ No newline at end of file
@@ -1,6 +1,16 @@
 /**
  * Navigation Module
- * Handles navigation functionality including mobile menu and smooth scrolling
+ * Handles navigation functionality including mobile menu, smooth scrolling and scroll-spy
+ *
+ * The menu is rendered from a JSON definition (config.menu, or a
+ * <script type="application/json" id="domedia-menu"> block); without one the markup links are kept.
+ * Items are { label, i18n, href, icon, description, descriptionI18n, external, type, children }:
+ * an item with children is a disclosure button for a "dropdown" or "mega" panel, and a child with
+ * children of its own is a titled group (a mega menu column).
+ *
+ * Sections are found from the in-page nav links (#id → element with that id or data-section)
+ * and [data-section] markup. The active section is the last one whose top has passed the
+ * activation line, a line activationOffset px below the header, tracked with IntersectionObserver.
  */
 
 const Navigation = {
@@ -8,7 +18,18 @@ const Navigation = {
     config: {
         mobileBreakpoint: 768,
         smoothScrollDuration: 800,
-        smoothScrollOffset: 80
+        smoothScrollOffset: 80,
+        ctaSelector: '.cta-button',
+        sectionSelector: '[data-section]',
+        activationOffset: 100, // px below the header where a section becomes active
+        defaultSection: 'home', // active above the first section
+        menu: null, // menu definition; null reads the menuScriptId block
+        menuScriptId: 'domedia-menu',
+        hoverIntent: {
+            openDelay: 150, // ms the pointer must rest on an item before its panel opens
+            closeDelay: 300 // ms the pointer may stray before the panel closes
+        },
+        accordion: 'single' // mobile submenus: 'single' keeps one open, 'multiple' lets them stack
     },
 
     // DOM elements
@@ -19,17 +40,43 @@ const Navigation = {
         header: null
     },
 
+    // Owns listeners and timers while initialized, and the open mobile menu's listeners
+    scope: null,
+    menuScope: null,
+
+    // Scroll-spy
+    spy: {
+        observer: null,
+        rootMargin: null,
+        sections: new Map(), // element -> section id, in document order
+        passed: new Set(), // sections whose top is above the activation line
+        isLocked: false, // set while scrolling to a clicked link
+        unlockTimer: null
+    },
+
     // State
     state: {
         isMobileMenuOpen: false,
-        currentSection: 'home'
+        currentSection: 'home',
+        inertElements: [], // made inert behind the open mobile menu
+        returnFocus: null,
+        hoverTimers: new Map(), // menu item -> pending hover open or close
+        hoverOpened: null // toggle whose panel was opened by hover, not yet clicked
     },
 
     /**
      * Initialize navigation
+     * @param {Object} options - Config overrides
      */
-    init() {
+    init(options = {}) {
+        Helpers.deepMerge(this.config, options);
+        this.scope = Helpers.createScope('navigation');
+
+        this.state.currentSection = this.config.defaultSection;
+
         this.cacheElements();
+        this.renderMenu(this.loadMenu());
+        this.discoverSections();
         this.bindEvents();
         this.handleInitialState();
         
@@ -44,6 +91,12 @@ const Navigation = {
         this.elements.mainNav = document.getElementById('mainNav');
         this.elements.navLinks = document.querySelectorAll('nav a[href^="#"]');
         this.elements.header = document.querySelector('header');
+
+        // Disclosure semantics: the button controls the navigation
+        if (this.elements.mobileMenuBtn && this.elements.mainNav) {
+            this.elements.mobileMenuBtn.setAttribute('aria-controls', this.elements.mainNav.id);
+            this.elements.mobileMenuBtn.setAttribute('aria-expanded', String(this.state.isMobileMenuOpen));
+        }
     },
 
     /**
@@ -52,46 +105,588 @@ const Navigation = {
     bindEvents() {
         // Mobile menu toggle
         if (this.elements.mobileMenuBtn) {
-            this.elements.mobileMenuBtn.addEventListener('click', (e) => {
+            this.scope.listen(this.elements.mobileMenuBtn, 'click', (e) => {
                 e.preventDefault();
                 this.toggleMobileMenu();
             });
         }
 
         // Navigation links
-        this.elements.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                this.handleNavClick(e, link);
-            });
-        });
+        this.bindNavLinks();
+
+        // Call-to-action buttons start the same flow as #get-started links
+        this.bindCallsToAction();
+
+        // Links, back/forward and deep links all go through the router
+        this.scope.add(Router.beforeEach(to => this.guardRoute(to)));
+        this.scope.add(Router.afterEach(to => this.showSection(to)));
 
         // Window resize
-        window.addEventListener('resize', Helpers.debounce(() => {
+        this.scope.listen(window, 'resize', Helpers.debounce(() => {
             this.handleResize();
         }, 250));
 
+        // Arrow keys, Home and End move between links; submenu toggles and focus leaving a panel
+        if (this.elements.mainNav) {
+            this.scope.listen(this.elements.mainNav, 'keydown', (e) => this.handleNavKeydown(e));
+            this.scope.listen(this.elements.mainNav, 'click', (e) => this.handleMenuClick(e));
+            this.scope.listen(this.elements.mainNav, 'focusout', (e) => this.handleMenuFocusOut(e));
+        }
+
         // Escape key to close mobile menu
-        document.addEventListener('keydown', (e) => {
+        this.scope.listen(document, 'keydown', (e) => {
             if (e.key === 'Escape' && this.state.isMobileMenuOpen) {
                 this.closeMobileMenu();
             }
         });
 
-        // Click outside to close mobile menu
-        document.addEventListener('click', (e) => {
+        // Click outside to close mobile menu and submenus
+        this.scope.listen(document, 'click', (e) => {
             if (this.state.isMobileMenuOpen && 
                 !this.elements.mainNav.contains(e.target) && 
                 !this.elements.mobileMenuBtn.contains(e.target)) {
                 this.closeMobileMenu();
             }
+            if (this.elements.mainNav && !this.elements.mainNav.contains(e.target)) {
+                this.closeSubmenus();
+            }
         });
 
-        // Scroll handling for active states
-        window.addEventListener('scroll', Helpers.throttle(() => {
+        // Header state on scroll; active section too without IntersectionObserver
+        this.scope.listen(window, 'scroll', Helpers.throttle(() => {
             this.handleScroll();
         }, 100));
     },
 
+    /**
+     * Bind click handling to navigation links that are not bound yet
+     */
+    bindNavLinks() {
+        this.elements.navLinks.forEach(link => {
+            if (this.scope.hasElement(link)) return;
+
+            this.scope.forElement(link).listen(link, 'click', (e) => {
+                this.handleNavClick(e, link);
+            });
+        });
+    },
+
+    /**
+     * Read the menu definition
+     * @returns {Object[]|null} Menu items, or null to keep the markup links
+     */
+    loadMenu() {
+        if (Array.isArray(this.config.menu)) return this.config.menu;
+
+        const script = document.getElementById(this.config.menuScriptId);
+        if (!script) return null;
+
+        try {
+            const items = JSON.parse(script.textContent || '[]');
+            if (Array.isArray(items)) return items;
+            console.warn(`Navigation: #${this.config.menuScriptId} must contain a JSON array of menu items`);
+        } catch (error) {
+            console.warn(`Navigation: could not parse #${this.config.menuScriptId}`, error);
+        }
+        return null;
+    },
+
+    /**
+     * Replace the menu with a new definition
+     * @param {Object[]} items - Menu items
+     */
+    setMenu(items) {
+        this.closeSubmenus();
+        this.renderMenu(items);
+
+        // Drop handlers of the old items and bind the new links
+        this.scope.release();
+        this.bindNavLinks();
+        this.discoverSections();
+        this.updateActiveNavItem();
+    },
+
+    /**
+     * Render menu items into the navigation
+     * @param {Object[]|null} items - Menu items; null keeps the current links
+     */
+    renderMenu(items) {
+        if (!items || !this.elements.mainNav) return;
+
+        const list = document.createElement('ul');
+        list.className = 'nav-list';
+        items.forEach(item => {
+            const element = this.createMenuItem(item);
+            if (element) list.appendChild(element);
+        });
+
+        this.elements.mainNav.textContent = '';
+        this.elements.mainNav.appendChild(list);
+
+        I18n.translate(this.elements.mainNav);
+        this.elements.navLinks = document.querySelectorAll('nav a[href^="#"]');
+    },
+
+    /**
+     * Check a menu item, warning about ones that cannot be rendered
+     * @param {Object} item - Menu item
+     * @returns {boolean} True if the item has a label and a link or children
+     */
+    isValidMenuItem(item) {
+        const valid = Helpers.isPlainObject(item) &&
+            (typeof item.label === 'string' || typeof item.i18n === 'string') &&
+            (typeof item.href === 'string' || Array.isArray(item.children));
+
+        if (!valid) {
+            console.warn('Navigation: menu items need a label (or i18n key) and an href or children', item);
+        }
+        return valid;
+    },
+
+    /**
+     * Create a top-level menu item
+     * @param {Object} item - Menu item
+     * @returns {HTMLLIElement|null} List item, or null if invalid
+     */
+    createMenuItem(item) {
+        if (!this.isValidMenuItem(item)) return null;
+
+        const element = document.createElement('li');
+        element.className = 'nav-item';
+
+        if (!Array.isArray(item.children) || !item.children.length) {
+            element.appendChild(this.createMenuLink(item));
+            return element;
+        }
+
+        const isMega = item.type === 'mega';
+        element.classList.add(isMega ? 'nav-item-mega' : 'nav-item-dropdown');
+
+        const panel = document.createElement('div');
+        panel.className = isMega ? 'nav-submenu nav-mega' : 'nav-submenu';
+        panel.id = Helpers.generateId('nav-submenu');
+        panel.hidden = true;
+        panel.appendChild(this.createMenuList(item.children));
+
+        // Disclosure button: parents open their panel rather than navigate
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'nav-toggle';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', panel.id);
+
+        const caret = document.createElement('span');
+        caret.className = 'nav-caret';
+        caret.setAttribute('aria-hidden', 'true');
+        toggle.append(this.createMenuLabel(item.label, item.i18n), caret);
+
+        element.append(toggle, panel);
+        this.bindHoverIntent(element);
+
+        return element;
+    },
+
+    /**
+     * Create the list of links (and titled groups) in a panel
+     * @param {Object[]} items - Child items
+     * @returns {HTMLUListElement} List
+     */
+    createMenuList(items) {
+        const list = document.createElement('ul');
+        list.className = 'nav-submenu-list';
+
+        items.forEach(item => {
+            if (!this.isValidMenuItem(item)) return;
+
+            const element = document.createElement('li');
+            if (Array.isArray(item.children) && item.children.length) {
+                const heading = this.createMenuLabel(item.label, item.i18n);
+                heading.className = 'nav-group-heading';
+                heading.id = Helpers.generateId('nav-group');
+
+                const group = this.createMenuList(item.children);
+                group.setAttribute('aria-labelledby', heading.id);
+
+                element.className = 'nav-group';
+                element.append(heading, group);
+            } else {
+                element.appendChild(this.createMenuLink(item));
+            }
+            list.appendChild(element);
+        });
+
+        return list;
+    },
+
+    /**
+     * Create a menu link with its optional icon, description and new-tab hint
+     * @param {Object} item - Menu item with an href
+     * @returns {HTMLAnchorElement} Link
+     */
+    createMenuLink(item) {
+        const link = document.createElement('a');
+        link.className = 'nav-link';
+        link.setAttribute('href', item.href);
+
+        if (item.icon) {
+            const icon = document.createElement('img');
+            icon.className = 'nav-icon';
+            icon.src = item.icon;
+            icon.alt = '';
+            link.appendChild(icon);
+        }
+
+        const text = document.createElement('span');
+        text.className = 'nav-link-text';
+        text.appendChild(this.createMenuLabel(item.label, item.i18n));
+
+        if (item.description || item.descriptionI18n) {
+            const description = this.createMenuLabel(item.description, item.descriptionI18n);
+            description.className = 'nav-link-description';
+            text.appendChild(description);
+        }
+
+        if (this.isExternalLink(item)) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.classList.add('nav-link-external');
+
+            const hint = this.createMenuLabel('(opens in a new tab)', 'nav.newTab');
+            hint.className = 'sr-only';
+            text.appendChild(hint);
+        }
+
+        link.appendChild(text);
+        return link;
+    },
+
+    /**
+     * Create a label that follows locale changes
+     * @param {string} label - Fallback text
+     * @param {string} key - I18n key
+     * @returns {HTMLSpanElement} Label
+     */
+    createMenuLabel(label, key) {
+        const element = document.createElement('span');
+        element.textContent = label || key;
+        if (key) {
+            element.setAttribute('data-i18n', key);
+        }
+        return element;
+    },
+
+    /**
+     * Check whether a menu item leaves the site
+     * @param {Object} item - Menu item
+     * @returns {boolean} True if marked external, or an http(s) link to another origin
+     */
+    isExternalLink(item) {
+        if (typeof item.external === 'boolean') return item.external;
+        if (!item.href || item.href.startsWith('#')) return false;
+
+        try {
+            const url = new URL(item.href, window.location.href);
+            return /^https?:$/.test(url.protocol) && url.origin !== window.location.origin;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Open and close an item's panel when the pointer rests on it or leaves it (desktop mouse only)
+     * @param {HTMLLIElement} item - Menu item with a panel
+     */
+    bindHoverIntent(item) {
+        const scope = this.scope.forElement(item);
+        const isHover = (e) => e.pointerType === 'mouse' && !ViewportUtils.isMobile();
+
+        scope.listen(item, 'pointerenter', (e) => {
+            if (isHover(e)) this.scheduleHover(item, true);
+        });
+        scope.listen(item, 'pointerleave', (e) => {
+            if (isHover(e)) this.scheduleHover(item, false);
+        });
+    },
+
+    /**
+     * Open or close an item's panel after the hover intent delay, cancelling the opposite
+     * @param {HTMLLIElement} item - Menu item with a panel
+     * @param {boolean} open - True to open, false to close
+     */
+    scheduleHover(item, open) {
+        this.scope.clearTimer(this.state.hoverTimers.get(item));
+        this.state.hoverTimers.delete(item);
+
+        const toggle = item.querySelector('.nav-toggle');
+        if (this.isSubmenuOpen(toggle) === open) return;
+
+        const { openDelay, closeDelay } = this.config.hoverIntent;
+        this.state.hoverTimers.set(item, this.scope.setTimeout(() => {
+            this.state.hoverTimers.delete(item);
+
+            if (open) {
+                this.openSubmenu(toggle);
+                this.state.hoverOpened = toggle;
+            } else if (!item.contains(document.activeElement)) {
+                // Keyboard focus inside keeps the panel open
+                this.closeSubmenu(toggle);
+            }
+        }, open ? openDelay : closeDelay));
+    },
+
+    /**
+     * Get the panel a toggle controls
+     * @param {Element} toggle - Submenu toggle
+     * @returns {Element|null} Panel
+     */
+    getSubmenu(toggle) {
+        return document.getElementById(toggle.getAttribute('aria-controls'));
+    },
+
+    /**
+     * Check whether a toggle's panel is open
+     * @param {Element} toggle - Submenu toggle
+     * @returns {boolean} True if open
+     */
+    isSubmenuOpen(toggle) {
+        return toggle.getAttribute('aria-expanded') === 'true';
+    },
+
+    /**
+     * Open a submenu panel
+     * @param {Element} toggle - Submenu toggle
+     * @param {string|null} focus - 'first' or 'last' to move focus into the panel
+     */
+    openSubmenu(toggle, focus = null) {
+        // One panel at a time on desktop; on mobile as the accordion setting says
+        if (!ViewportUtils.isMobile() || this.config.accordion === 'single') {
+            this.closeSubmenus(toggle);
+        }
+
+        toggle.setAttribute('aria-expanded', 'true');
+        toggle.parentElement.classList.add('open');
+        const panel = this.getSubmenu(toggle);
+        panel.hidden = false;
+
+        if (focus) {
+            const links = Helpers.getFocusableElements(panel);
+            const target = focus === 'last' ? links[links.length - 1] : links[0];
+            if (target) target.focus();
+        }
+    },
+
+    /**
+     * Close a submenu panel
+     * @param {Element} toggle - Submenu toggle
+     * @param {boolean} focusToggle - Move focus back to the toggle
+     */
+    closeSubmenu(toggle, focusToggle = false) {
+        if (this.state.hoverOpened === toggle) {
+            this.state.hoverOpened = null;
+        }
+
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.parentElement.classList.remove('open');
+        const panel = this.getSubmenu(toggle);
+        if (panel) panel.hidden = true;
+
+        if (focusToggle) {
+            toggle.focus();
+        }
+    },
+
+    /**
+     * Close every open submenu panel
+     * @param {Element|null} except - Toggle to leave open
+     */
+    closeSubmenus(except = null) {
+        if (!this.elements.mainNav) return;
+
+        this.elements.mainNav.querySelectorAll('.nav-toggle[aria-expanded="true"]').forEach(toggle => {
+            if (toggle !== except) this.closeSubmenu(toggle);
+        });
+    },
+
+    /**
+     * Toggle panels on click, and close them when a link inside is followed
+     * @param {MouseEvent} e - Click event
+     */
+    handleMenuClick(e) {
+        const toggle = e.target.closest('.nav-toggle');
+
+        if (toggle) {
+            // The click decides; a hover still waiting to open or close would undo it
+            const item = toggle.parentElement;
+            this.scope.clearTimer(this.state.hoverTimers.get(item));
+            this.state.hoverTimers.delete(item);
+
+            // A click on a panel that hover opened keeps it open rather than closing it
+            if (this.state.hoverOpened === toggle) {
+                this.state.hoverOpened = null;
+            } else if (this.isSubmenuOpen(toggle)) {
+                this.closeSubmenu(toggle);
+            } else {
+                this.openSubmenu(toggle);
+            }
+            return;
+        }
+
+        if (e.target.closest('.nav-submenu a')) {
+            this.closeSubmenus();
+        }
+    },
+
+    /**
+     * Close a desktop panel when focus moves out of its item
+     * @param {FocusEvent} e - focusout event
+     */
+    handleMenuFocusOut(e) {
+        if (ViewportUtils.isMobile() || !e.relatedTarget) return;
+
+        const item = e.target.closest('.nav-item');
+        const toggle = item && item.querySelector('.nav-toggle');
+        if (toggle && this.isSubmenuOpen(toggle) && !item.contains(e.relatedTarget)) {
+            this.closeSubmenu(toggle);
+        }
+    },
+
+    /**
+     * Pick up navigation links, call-to-action buttons and sections added to the page
+     */
+    refresh() {
+        this.elements.navLinks = document.querySelectorAll('nav a[href^="#"]');
+        this.bindNavLinks();
+        this.bindCallsToAction();
+        this.discoverSections();
+        this.updateActiveNavItem();
+    },
+
+    /**
+     * Drop handlers of navigation links removed from the page
+     * @param {Element} root - Removed container
+     */
+    release(root) {
+        this.scope.release(root);
+        this.elements.navLinks = document.querySelectorAll('nav a[href^="#"]');
+        this.discoverSections();
+    },
+
+    /**
+     * Find the sections the navigation can point at and keep the scroll-spy in sync with them
+     */
+    discoverSections() {
+        const found = new Map();
+
+        this.elements.navLinks.forEach(link => {
+            const id = link.getAttribute('href').substring(1);
+            const section = id && this.findSection(id);
+            if (section && !found.has(section)) {
+                found.set(section, id);
+            }
+        });
+
+        document.querySelectorAll(this.config.sectionSelector).forEach(section => {
+            if (!found.has(section)) {
+                found.set(section, section.getAttribute('data-section') || section.id);
+            }
+        });
+
+        // Document order, so "the last passed section" is the one furthest down the page
+        const sections = [...found.keys()].sort((a, b) => {
+            return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        });
+
+        this.spy.sections.forEach((id, section) => {
+            if (!found.has(section)) {
+                this.spy.passed.delete(section);
+                if (this.spy.observer) {
+                    this.spy.observer.unobserve(section);
+                }
+            }
+        });
+
+        const previous = this.spy.sections;
+        this.spy.sections = new Map(sections.map(section => [section, found.get(section)]));
+
+        if (!this.spy.observer) {
+            this.createSpy();
+            return;
+        }
+
+        this.spy.sections.forEach((id, section) => {
+            if (!previous.has(section)) {
+                this.spy.observer.observe(section);
+            }
+        });
+    },
+
+    /**
+     * Find the element for a section id
+     * @param {string} id - Section id
+     * @returns {Element|null} Section element
+     */
+    findSection(id) {
+        return document.getElementById(id) ||
+            [...document.querySelectorAll('[data-section]')].find(section => section.getAttribute('data-section') === id) ||
+            null;
+    },
+
+    /**
+     * Get the activation line
+     * @returns {number} Distance of the line from the top of the viewport in px
+     */
+    getActivationLine() {
+        const headerHeight = this.elements.header ? this.elements.header.offsetHeight : 0;
+        return Math.min(headerHeight + this.config.activationOffset, Math.max(window.innerHeight - 1, 0));
+    },
+
+    /**
+     * Observe the sections against a 1px band at the activation line
+     */
+    createSpy() {
+        if (!('IntersectionObserver' in window) || !this.scope) return;
+
+        const line = this.getActivationLine();
+        const rootMargin = `-${line}px 0px -${Math.max(window.innerHeight - line - 1, 0)}px 0px`;
+        if (this.spy.observer && rootMargin === this.spy.rootMargin) return;
+
+        if (this.spy.observer) {
+            this.spy.observer.disconnect();
+        }
+
+        this.spy.rootMargin = rootMargin;
+        this.spy.observer = this.scope.observe(new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                // Crossing the band either way lands the top above or below the line
+                if (entry.boundingClientRect.top <= line) {
+                    this.spy.passed.add(entry.target);
+                } else {
+                    this.spy.passed.delete(entry.target);
+                }
+            });
+
+            if (!this.spy.isLocked) {
+                this.updateActiveNavItem(this.getSpySection());
+            }
+        }, { rootMargin }));
+
+        this.spy.sections.forEach((id, section) => this.spy.observer.observe(section));
+    },
+
+    /**
+     * Get the active section from the scroll-spy
+     * @returns {string} Id of the last section past the activation line, or the default section
+     */
+    getSpySection() {
+        let current = this.config.defaultSection;
+        this.spy.sections.forEach((id, section) => {
+            if (this.spy.passed.has(section)) {
+                current = id;
+            }
+        });
+        return current;
+    },
+
     /**
      * Handle initial state
      */
@@ -121,6 +716,7 @@ const Navigation = {
      */
     openMobileMenu() {
         this.state.isMobileMenuOpen = true;
+        this.state.returnFocus = document.activeElement;
         
         Helpers.addClass(this.elements.mainNav, 'active');
         Helpers.addClass(this.elements.mobileMenuBtn, 'active');
@@ -129,23 +725,42 @@ const Navigation = {
         this.elements.mobileMenuBtn.classList.add('active');
         this.elements.mobileMenuBtn.setAttribute('aria-expanded', 'true');
         
+        // Keep focus, pointer and scrolling in the menu until it closes
+        this.menuScope = Helpers.createScope('navigation-menu');
+        this.menuScope.listen(document, 'keydown', (e) => this.trapFocus(e));
+        this.setBackgroundInert(true);
+        ViewportUtils.lockScroll();
+
         // Focus management
-        const firstNavLink = this.elements.mainNav.querySelector('a');
+        const [firstNavLink] = Helpers.getFocusableElements(this.elements.mainNav);
         if (firstNavLink) {
-            setTimeout(() => firstNavLink.focus(), 100);
+            this.menuScope.setTimeout(() => firstNavLink.focus(), 100);
         }
 
         // Dispatch event
-        Helpers.dispatchEvent('mobileMenuOpened');
+        EventBus.emit('nav:menuopen');
         
         console.log('Mobile menu opened');
     },
 
     /**
      * Close mobile menu
+     * @param {Object} options - { restoreFocus: false } leaves focus where it is
      */
-    closeMobileMenu() {
+    closeMobileMenu({ restoreFocus = true } = {}) {
+        const wasOpen = this.state.isMobileMenuOpen;
         this.state.isMobileMenuOpen = false;
+
+        if (this.menuScope) {
+            this.menuScope.dispose();
+            this.menuScope = null;
+        }
+
+        if (wasOpen) {
+            this.setBackgroundInert(false);
+            ViewportUtils.unlockScroll();
+            this.closeSubmenus();
+        }
         
         Helpers.removeClass(this.elements.mainNav, 'active');
         Helpers.removeClass(this.elements.mobileMenuBtn, 'active');
@@ -154,12 +769,187 @@ const Navigation = {
         this.elements.mobileMenuBtn.classList.remove('active');
         this.elements.mobileMenuBtn.setAttribute('aria-expanded', 'false');
         
-        // Dispatch event
-        Helpers.dispatchEvent('mobileMenuClosed');
+        // Return focus to the button, unless it already moved on or the menu was never open
+        const returnFocus = this.state.returnFocus;
+        this.state.returnFocus = null;
+        if (wasOpen && restoreFocus) {
+            const focusInMenu = this.elements.mainNav.contains(document.activeElement);
+            if (focusInMenu || document.activeElement === document.body || !document.activeElement) {
+                this.elements.mobileMenuBtn.focus();
+            } else if (returnFocus && returnFocus.isConnected && returnFocus !== document.activeElement) {
+                returnFocus.focus();
+            }
+        }
+        
+        // Dispatch event (not for the reset on load, when nothing was open)
+        if (wasOpen) {
+            EventBus.emit('nav:menuclose');
+        }
         
         console.log('Mobile menu closed');
     },
 
+    /**
+     * Make everything outside the menu button and navigation inert, or undo it
+     * @param {boolean} inert - True while the menu is open
+     */
+    setBackgroundInert(inert) {
+        if (!inert) {
+            this.state.inertElements.forEach(element => element.removeAttribute('inert'));
+            this.state.inertElements = [];
+            return;
+        }
+
+        const keep = [this.elements.mobileMenuBtn, this.elements.mainNav];
+        const background = [];
+
+        // Siblings of the menu's ancestors, up to the body
+        let node = keep[0].parentElement;
+        Array.from(node.children).forEach(child => {
+            if (!keep.includes(child)) background.push(child);
+        });
+        for (; node && node !== document.body; node = node.parentElement) {
+            Array.from(node.parentElement.children).forEach(child => {
+                if (child !== node) background.push(child);
+            });
+        }
+
+        // Leave elements that were already inert to whoever made them so, and keep live regions announcing
+        this.state.inertElements = background.filter(element => {
+            return !element.hasAttribute('inert') && !element.hasAttribute('aria-live') && element.tagName !== 'SCRIPT';
+        });
+        this.state.inertElements.forEach(element => element.setAttribute('inert', ''));
+    },
+
+    /**
+     * Keep Tab within the menu button and links while the menu is open
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    trapFocus(e) {
+        if (e.key !== 'Tab') return;
+
+        const focusable = [this.elements.mobileMenuBtn, ...Helpers.getFocusableElements(this.elements.mainNav)];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!focusable.includes(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
+    /**
+     * Keyboard support: arrow keys, Home and End between links, and into and out of panels
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleNavKeydown(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const current = document.activeElement;
+        const panel = current.closest('.nav-submenu');
+
+        // Escape closes the panel focus is in, or whose toggle has focus, before anything else
+        if (e.key === 'Escape') {
+            const toggle = panel
+                ? this.elements.mainNav.querySelector(`[aria-controls="${panel.id}"]`)
+                : current.closest('.nav-toggle');
+            if (toggle && this.isSubmenuOpen(toggle)) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.closeSubmenu(toggle, true);
+            }
+            return;
+        }
+
+        // Left and right follow the reading direction
+        const rtl = I18n.getDirection() === 'rtl';
+        const forward = rtl ? 'ArrowLeft' : 'ArrowRight';
+        const backward = rtl ? 'ArrowRight' : 'ArrowLeft';
+
+        // The mobile menu is one vertical list: every visible link and toggle in order
+        if (ViewportUtils.isMobile()) {
+            const steps = { ArrowDown: 1, ArrowUp: -1, [forward]: 1, [backward]: -1 };
+            this.moveFocus(e, Helpers.getFocusableElements(this.elements.mainNav), current, steps);
+            return;
+        }
+
+        // Inside a desktop panel: up and down within it, left and right on to the next top-level item
+        if (panel) {
+            if (e.key === forward || e.key === backward) {
+                const toggle = this.elements.mainNav.querySelector(`[aria-controls="${panel.id}"]`);
+                this.closeSubmenu(toggle);
+                this.moveFocus(e, this.getTopLevelControls(), toggle, { [forward]: 1, [backward]: -1 });
+                return;
+            }
+            this.moveFocus(e, Helpers.getFocusableElements(panel), current, { ArrowDown: 1, ArrowUp: -1 });
+            return;
+        }
+
+        // Top level: down and up open a panel at its first or last link
+        if (current.classList.contains('nav-toggle') && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+            e.preventDefault();
+            this.openSubmenu(current, e.key === 'ArrowDown' ? 'first' : 'last');
+            return;
+        }
+
+        this.moveFocus(e, this.getTopLevelControls(), current, { [forward]: 1, [backward]: -1 });
+    },
+
+    /**
+     * Move focus within a list of elements for an arrow key, Home or End
+     * @param {KeyboardEvent} e - Keydown event
+     * @param {Element[]} elements - Elements in focus order
+     * @param {Element} current - Element the move starts from
+     * @param {Object} steps - Key -> step (1 or -1)
+     */
+    moveFocus(e, elements, current, steps) {
+        const index = elements.indexOf(current);
+        if (index === -1) return;
+
+        let next;
+        if (e.key === 'Home') {
+            next = 0;
+        } else if (e.key === 'End') {
+            next = elements.length - 1;
+        } else if (steps[e.key]) {
+            next = (index + steps[e.key] + elements.length) % elements.length;
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        elements[next].focus();
+    },
+
+    /**
+     * Get the top-level links and submenu toggles, in order
+     * @returns {Element[]} Focusable top-level controls
+     */
+    getTopLevelControls() {
+        return Helpers.getFocusableElements(this.elements.mainNav).filter(element => !element.closest('.nav-submenu'));
+    },
+
+    /**
+     * Bind "get started" handling to call-to-action buttons that are not bound yet
+     * @param {Element|Document} root - Subtree to search
+     */
+    bindCallsToAction(root = document) {
+        Helpers.queryWithin(root, this.config.ctaSelector).forEach(button => {
+            if (this.scope.hasElement(button)) return;
+
+            this.scope.forElement(button).listen(button, 'click', (e) => {
+                e.preventDefault();
+                this.handleGetStarted('cta');
+            });
+        });
+    },
+
     /**
      * Handle navigation link click
      * @param {Event} e - Click event
@@ -170,36 +960,58 @@ const Navigation = {
         
         const href = link.getAttribute('href');
         const targetId = href.substring(1);
+
+        // Close mobile menu first: its scroll lock would undo the scroll to the section
+        if (this.state.isMobileMenuOpen) {
+            this.closeMobileMenu({ restoreFocus: false });
+        }
         
         // Handle special cases
         if (targetId === 'get-started') {
-            this.handleGetStarted();
+            this.handleGetStarted('nav');
             return;
         }
         
-        // Find target element
-        const targetElement = document.getElementById(targetId) || document.querySelector(`[data-section="${targetId}"]`);
-        
+        // The router updates the URL and calls showSection
+        Router.navigate(targetId, { source: 'link' });
+    },
+
+    /**
+     * Only allow routes to sections on the page (router guard)
+     * @param {Object} to - Requested route
+     * @returns {boolean} True if the section exists
+     */
+    guardRoute(to) {
+        if (to.route === Router.config.defaultRoute || this.findSection(to.route)) return true;
+
+        console.warn(`Target element not found: ${to.route}`);
+        return false;
+    },
+
+    /**
+     * Scroll to a routed section and mark it active (router hook)
+     * @param {Object} to - New route
+     */
+    showSection(to) {
+        const targetElement = this.findSection(to.route);
+
+        // Smooth scroll to target; the default route without a section is the top of the page
         if (targetElement) {
-            // Smooth scroll to target
             this.scrollToElement(targetElement);
-            
-            // Update active state
-            this.updateActiveNavItem(targetId);
-            
-            // Close mobile menu if open
-            if (ViewportUtils.isMobile() && this.state.isMobileMenuOpen) {
-                setTimeout(() => this.closeMobileMenu(), 300);
-            }
         } else {
-            console.warn(`Target element not found: ${targetId}`);
+            Helpers.smoothScrollTo(document.body, 0, this.config.smoothScrollDuration);
         }
+
+        // Update active state, without the spy stepping through the sections scrolled past
+        this.updateActiveNavItem(targetElement ? to.route : this.config.defaultSection);
+        this.lockSpy();
     },
 
     /**
      * Handle get started button click
+     * @param {string} source - What was clicked: "cta" or "nav"
      */
-    handleGetStarted() {
+    handleGetStarted(source = 'nav') {
         // Scroll to contact section or show contact form
         const contactSection = document.getElementById('contact') || 
                               document.querySelector('[data-section="contact"]') ||
@@ -210,7 +1022,18 @@ const Navigation = {
         }
         
         // Dispatch custom event for tracking
-        Helpers.dispatchEvent('getStartedClicked');
+        EventBus.emit('nav:getstarted', { source });
+    },
+
+    /**
+     * Hold the active section while a smooth scroll runs
+     */
+    lockSpy() {
+        this.spy.isLocked = true;
+        this.scope.clearTimer(this.spy.unlockTimer);
+        this.spy.unlockTimer = this.scope.setTimeout(() => {
+            this.spy.isLocked = false;
+        }, this.config.smoothScrollDuration + 100);
     },
 
     /**
@@ -232,10 +1055,11 @@ const Navigation = {
      */
     updateActiveNavItem(sectionId = null) {
         if (!sectionId) {
-            // Determine current section from scroll position
-            sectionId = this.getCurrentSection();
+            // Determine current section from the spy, or by measuring without one
+            sectionId = this.spy.observer ? this.getSpySection() : this.getCurrentSection();
         }
-        
+
+        const previous = this.state.currentSection;
         this.state.currentSection = sectionId;
         
         // Remove active class from all links
@@ -244,32 +1068,43 @@ const Navigation = {
             link.setAttribute('aria-current', 'false');
         });
         
-        // Add active class to current link
+        if (this.elements.mainNav) {
+            this.elements.mainNav.querySelectorAll('.nav-toggle.active').forEach(toggle => {
+                Helpers.removeClass(toggle, 'active');
+            });
+        }
+
+        // Add active class to current link, and to the toggle of the panel it is in
         const activeLink = document.querySelector(`nav a[href="#${sectionId}"]`);
         if (activeLink) {
             Helpers.addClass(activeLink, 'active');
             activeLink.setAttribute('aria-current', 'page');
+
+            const item = activeLink.closest('.nav-item');
+            const toggle = item && item.querySelector('.nav-toggle');
+            if (toggle) Helpers.addClass(toggle, 'active');
+        }
+
+        if (sectionId !== previous) {
+            EventBus.emit('nav:sectionchange', { section: sectionId, previous });
         }
     },
 
     /**
-     * Get current section based on scroll position
+     * Get current section by measuring against the activation line (forces layout)
      * @returns {string} Current section ID
      */
     getCurrentSection() {
-        const sections = ['home', 'about', 'services', 'testimonials', 'contact'];
-        const scrollPos = window.pageYOffset + 100;
-        
-        for (let i = sections.length - 1; i >= 0; i--) {
-            const section = document.getElementById(sections[i]) || 
-                           document.querySelector(`[data-section="${sections[i]}"]`);
-            
-            if (section && section.offsetTop <= scrollPos) {
-                return sections[i];
+        const line = this.getActivationLine();
+        let current = this.config.defaultSection;
+
+        this.spy.sections.forEach((id, section) => {
+            if (section.getBoundingClientRect().top <= line) {
+                current = id;
             }
-        }
-        
-        return 'home';
+        });
+
+        return current;
     },
 
     /**
@@ -278,9 +1113,19 @@ const Navigation = {
     handleResize() {
         // Close mobile menu on desktop
         if (!ViewportUtils.isMobile() && this.state.isMobileMenuOpen) {
-            this.closeMobileMenu();
+            this.closeMobileMenu({ restoreFocus: false });
+        }
+
+        // Panels switch between dropdowns and accordion sections
+        if (!this.elements.mainNav || !this.elements.mainNav.contains(document.activeElement)) {
+            this.closeSubmenus();
         }
         
+        // The header height, and so the activation line, may have changed
+        if (this.spy.observer) {
+            this.createSpy();
+        }
+
         // Update navigation layout if needed
         this.updateNavigationLayout();
     },
@@ -289,7 +1134,9 @@ const Navigation = {
      * Handle scroll events
      */
     handleScroll() {
-        this.updateActiveNavItem();
+        if (!this.spy.observer && !this.spy.isLocked) {
+            this.updateActiveNavItem();
+        }
         
         // Add/remove header background based on scroll position
         if (this.elements.header) {
@@ -316,7 +1163,9 @@ const Navigation = {
      */
     getState() {
         return {
-            ...this.state,
+            isMobileMenuOpen: this.state.isMobileMenuOpen,
+            currentSection: this.state.currentSection,
+            sections: [...this.spy.sections.values()],
             viewport: ViewportUtils.getCurrentBreakpoint(),
             isMobile: ViewportUtils.isMobile()
         };
@@ -326,18 +1175,56 @@ const Navigation = {
      * Destroy navigation (cleanup)
      */
     destroy() {
-        // Remove event listeners and clean up
-        this.elements.navLinks.forEach(link => {
-            link.removeEventListener('click', this.handleNavClick);
-        });
-        
-        if (this.elements.mobileMenuBtn) {
-            this.elements.mobileMenuBtn.removeEventListener('click', this.toggleMobileMenu);
+        // Give the page back its focus, pointer and scrolling
+        if (this.state.isMobileMenuOpen) {
+            this.closeMobileMenu({ restoreFocus: false });
+        }
+
+        // Remove event listeners and pending timers
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
         }
+
+        this.spy.observer = null;
+        this.spy.rootMargin = null;
+        this.spy.sections = new Map();
+        this.spy.passed = new Set();
+        this.spy.isLocked = false;
+        this.spy.unlockTimer = null;
+
+        this.state.hoverTimers = new Map();
+        this.state.hoverOpened = null;
         
         console.log('Navigation destroyed');
     }
 };
 
+// Register with the application lifecycle
+ModuleRegistry.register({
+    name: 'navigation',
+    dependencies: ['responsiveHandler'],
+    instance: Navigation,
+    configSchema: {
+        mobileBreakpoint: { type: 'number', min: 0 },
+        smoothScrollDuration: { type: 'number', min: 0 },
+        smoothScrollOffset: { type: 'number' },
+        ctaSelector: { type: 'string' },
+        sectionSelector: { type: 'string' },
+        activationOffset: { type: 'number', min: 0 },
+        defaultSection: { type: 'string' },
+        menu: { type: 'array' },
+        menuScriptId: { type: 'string' },
+        hoverIntent: {
+            type: 'object',
+            properties: {
+                openDelay: { type: 'number', min: 0 },
+                closeDelay: { type: 'number', min: 0 }
+            }
+        },
+        accordion: { type: 'string', enum: ['single', 'multiple'] }
+    }
+});
+
 // Make Navigation available globally
 window.Navigation = Navigation;
\ No newline at end of file
@@ -1,16 +1,91 @@
 // Professional Creative Effects Module
 class ProfessionalEffects {
     constructor() {
-        this.init();
+        this.isInitialized = false;
+        this.options = {
+            loadingOverlay: true,
+            scrollAnimations: true,
+            customCursor: true,
+            parallax: true,
+            smoothScrolling: true,
+            typingEffect: true,
+            typingSpeed: 50,
+            typingDelay: 1500
+        };
+
+        // Teardown bookkeeping (the scope owns listeners, timers and observers)
+        this.scope = null;
+        this.injectedNodes = [];
+        this.stopCursor = null;
+        this.cursorNodes = null;
+        this.revealObserver = null;
+        this.typingTarget = null;
+        this.typingTimer = null;
+        this.originalHeroText = null;
+
+        // Reveal classes per element, applied as elements scroll into view
+        this.revealRules = [
+            { selector: '.hero-content h1', className: 'fade-in', delay: 0 },
+            { selector: '.hero-content p', className: 'slide-left', delay: 200 },
+            { selector: '.cta-button', className: 'slide-left', delay: 400 },
+            { selector: '.hero-mockup', className: 'slide-right', delay: 300 }
+        ];
     }
 
-    init() {
-        this.createLoadingOverlay();
-        this.initScrollAnimations();
-        this.initCustomCursor();
-        this.initParallaxEffects();
-        this.initSmoothScrolling();
-        this.initTypingEffect();
+    // Called by the app once the DOM is ready
+    init(options = {}) {
+        if (this.isInitialized) return;
+
+        Helpers.deepMerge(this.options, options);
+        this.scope = Helpers.createScope('professionalEffects');
+
+        // Experiment copy goes in before the typing effect reads the heading
+        this.applyHeroHeadline();
+
+        if (this.options.loadingOverlay) this.createLoadingOverlay();
+        if (this.options.scrollAnimations) this.initScrollAnimations();
+        if (this.options.customCursor && Experiments.isEnabled('customCursor')) this.initCustomCursor();
+        if (this.options.parallax) this.initParallaxEffects();
+        if (this.options.typingEffect && Experiments.isEnabled('typingEffect')) this.initTypingEffect();
+
+        // Cursor hover, smooth scrolling and reveal classes are bound per element
+        this.enhanceElements(document);
+
+        this.scope.add(EventBus.on('i18n:localechange', () => this.handleLocaleChange(), { replay: false }));
+
+        this.isInitialized = true;
+    }
+
+    // Enhance content added after load (the overlay, cursor and typing effect are not repeated)
+    refresh(root = document) {
+        if (!this.isInitialized) return;
+        this.enhanceElements(root);
+    }
+
+    // Drop listeners, timers and observation for content removed from the page
+    release(root) {
+        if (!this.isInitialized) return;
+        this.scope.release(root);
+    }
+
+    // Bind per-element effects under root, skipping elements that already have them
+    enhanceElements(root) {
+        const revealSelector = this.revealRules.map(({ selector }) => selector).join(', ');
+
+        Helpers.queryWithin(root, `a, button, ${revealSelector}`).forEach(element => {
+            if (this.scope.hasElement(element)) return;
+            const scope = this.scope.forElement(element);
+
+            if (this.cursorNodes && element.matches('a, button, .cta-button')) {
+                this.bindCursorHover(element, scope);
+            }
+            if (this.options.smoothScrolling && element.matches('a[href^="#"]')) {
+                this.bindSmoothScrolling(element, scope);
+            }
+            if (this.revealObserver) {
+                this.bindReveal(element, scope);
+            }
+        });
     }
 
     // Professional Loading Animation
@@ -21,60 +96,60 @@ class ProfessionalEffects {
             </div>
         `;
         document.body.insertAdjacentHTML('afterbegin', loadingHTML);
+        const overlay = document.getElementById('loadingOverlay');
+        this.injectedNodes.push(overlay);
 
         // Hide loading after page load
-        window.addEventListener('load', () => {
-            setTimeout(() => {
-                const overlay = document.getElementById('loadingOverlay');
-                if (overlay) {
-                    overlay.classList.add('hidden');
-                    setTimeout(() => overlay.remove(), 500);
-                }
+        const hideOverlay = () => {
+            this.scope.setTimeout(() => {
+                overlay.classList.add('hidden');
+                this.scope.setTimeout(() => overlay.remove(), 500);
             }, 1000);
-        });
+        };
+
+        if (document.readyState === 'complete') {
+            hideOverlay();
+        } else {
+            this.scope.listen(window, 'load', hideOverlay, { once: true });
+        }
     }
 
     // Professional Scroll Animations
     initScrollAnimations() {
+        if (!('IntersectionObserver' in window)) return;
+
         const observerOptions = {
             threshold: 0.1,
             rootMargin: '0px 0px -50px 0px'
         };
 
-        const observer = new IntersectionObserver((entries) => {
+        this.revealObserver = this.scope.observe(new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     entry.target.classList.add('visible');
                 }
             });
-        }, observerOptions);
-
-        // Add animation classes to elements
-        document.addEventListener('DOMContentLoaded', () => {
-            const heroTitle = document.querySelector('.hero-content h1');
-            const heroText = document.querySelector('.hero-content p');
-            const ctaButton = document.querySelector('.cta-button');
-            const heroMockup = document.querySelector('.hero-mockup');
-
-            if (heroTitle) {
-                heroTitle.classList.add('fade-in');
-                observer.observe(heroTitle);
-            }
+        }, observerOptions));
+    }
 
-            if (heroText) {
-                heroText.classList.add('slide-left');
-                setTimeout(() => observer.observe(heroText), 200);
-            }
+    // Add the element's animation class and observe it after its delay
+    bindReveal(element, scope) {
+        const rule = this.revealRules.find(({ selector }) => element.matches(selector));
+        if (!rule) return;
 
-            if (ctaButton) {
-                ctaButton.classList.add('slide-left');
-                setTimeout(() => observer.observe(ctaButton), 400);
-            }
+        const { className, delay } = rule;
+        const observer = this.revealObserver;
 
-            if (heroMockup) {
-                heroMockup.classList.add('slide-right');
-                setTimeout(() => observer.observe(heroMockup), 300);
-            }
+        element.classList.add(className);
+        if (delay) {
+            scope.setTimeout(() => observer.observe(element), delay);
+        } else {
+            observer.observe(element);
+        }
+
+        scope.add(() => {
+            observer.unobserve(element);
+            element.classList.remove(className, 'visible');
         });
     }
 
@@ -82,101 +157,169 @@ class ProfessionalEffects {
     initCustomCursor() {
         const cursor = document.createElement('div');
         const cursorOutline = document.createElement('div');
-        
+
         cursor.classList.add('cursor-dot');
         cursorOutline.classList.add('cursor-outline');
-        
+
         document.body.appendChild(cursor);
         document.body.appendChild(cursorOutline);
+        this.injectedNodes.push(cursor, cursorOutline);
 
         let cursorX = 0, cursorY = 0;
         let outlineX = 0, outlineY = 0;
 
-        document.addEventListener('mousemove', (e) => {
+        this.scope.listen(document, 'mousemove', (e) => {
             cursorX = e.clientX;
             cursorY = e.clientY;
-            
+
             cursor.style.left = cursorX + 'px';
             cursor.style.top = cursorY + 'px';
         });
 
-        // Smooth cursor outline animation
-        const animateCursorOutline = () => {
+        // Smooth cursor outline animation (follows the pointer, so it runs ahead of decoration)
+        this.stopCursor = Helpers.ticker.add(() => {
             outlineX += (cursorX - outlineX) * 0.1;
             outlineY += (cursorY - outlineY) * 0.1;
-            
+
             cursorOutline.style.left = outlineX + 'px';
             cursorOutline.style.top = outlineY + 'px';
-            
-            requestAnimationFrame(animateCursorOutline);
-        };
-        animateCursorOutline();
-
-        // Interactive hover effects
-        const interactiveElements = document.querySelectorAll('a, button, .cta-button');
-        interactiveElements.forEach(el => {
-            el.addEventListener('mouseenter', () => {
-                cursor.style.transform = 'scale(2)';
-                cursorOutline.style.transform = 'scale(1.5)';
-            });
-            
-            el.addEventListener('mouseleave', () => {
-                cursor.style.transform = 'scale(1)';
-                cursorOutline.style.transform = 'scale(1)';
-            });
+        }, { priority: 10 });
+        this.scope.add(this.stopCursor);
+
+        this.cursorNodes = { cursor, cursorOutline };
+    }
+
+    // Interactive hover effects
+    bindCursorHover(element, scope) {
+        const { cursor, cursorOutline } = this.cursorNodes;
+
+        scope.listen(element, 'mouseenter', () => {
+            cursor.style.transform = 'scale(2)';
+            cursorOutline.style.transform = 'scale(1.5)';
+        });
+
+        scope.listen(element, 'mouseleave', () => {
+            cursor.style.transform = 'scale(1)';
+            cursorOutline.style.transform = 'scale(1)';
         });
     }
 
     // Professional Parallax Effects
     initParallaxEffects() {
-        window.addEventListener('scroll', () => {
+        this.scope.listen(window, 'scroll', () => {
             const scrolled = window.pageYOffset;
             const parallaxElements = document.querySelectorAll('.hero-mockup');
-            
+
             parallaxElements.forEach(element => {
                 const speed = 0.5;
                 element.style.transform = `translateY(${scrolled * speed}px)`;
             });
         });
-    }
 
-    // Enhanced Smooth Scrolling
-    initSmoothScrolling() {
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function (e) {
-                e.preventDefault();
-                const target = document.querySelector(this.getAttribute('href'));
-                if (target) {
-                    target.scrollIntoView({
-                        behavior: 'smooth',
-                        block: 'start'
-                    });
-                }
+        this.scope.add(() => {
+            document.querySelectorAll('.hero-mockup').forEach(element => {
+                element.style.transform = '';
             });
         });
     }
 
+    // Enhanced Smooth Scrolling (through the router, so the URL follows)
+    bindSmoothScrolling(anchor, scope) {
+        scope.listen(anchor, 'click', (e) => {
+            const href = anchor.getAttribute('href');
+            if (href.length < 2) return;
+
+            // Navigation routes its own links
+            if (anchor.closest('nav')) return;
+
+            e.preventDefault();
+            Router.navigate(href.substring(1), { source: 'link' });
+        });
+    }
+
     // Creative Typing Effect for Hero Title
     initTypingEffect() {
-        document.addEventListener('DOMContentLoaded', () => {
-            const heroTitle = document.querySelector('.hero-content h1');
-            if (!heroTitle) return;
-
-            const originalText = heroTitle.textContent;
-            heroTitle.textContent = '';
-            
-            let charIndex = 0;
-            const typeWriter = () => {
-                if (charIndex < originalText.length) {
-                    heroTitle.textContent += originalText.charAt(charIndex);
-                    charIndex++;
-                    setTimeout(typeWriter, 50);
-                }
-            };
+        const heroTitle = document.querySelector('.hero-content h1');
+        if (!heroTitle) return;
 
-            // Start typing effect after a delay
-            setTimeout(typeWriter, 1500);
-        });
+        // Keep the markup (including <br>) so destroy() can restore it
+        if (this.originalHeroText === null) {
+            this.typingTarget = heroTitle;
+            this.originalHeroText = heroTitle.innerHTML;
+        }
+
+        const originalText = heroTitle.textContent;
+        heroTitle.textContent = '';
+
+        let charIndex = 0;
+        const typeWriter = () => {
+            if (charIndex < originalText.length) {
+                heroTitle.textContent += originalText.charAt(charIndex);
+                charIndex++;
+                this.typingTimer = this.scope.setTimeout(typeWriter, this.options.typingSpeed);
+            } else {
+                this.typingTimer = null;
+            }
+        };
+
+        // Start typing effect after a delay
+        this.typingTimer = this.scope.setTimeout(typeWriter, this.options.typingDelay);
+    }
+
+    // Markup was retranslated: stop typing the old text and put the experiment copy back
+    handleLocaleChange() {
+        this.scope.clearTimer(this.typingTimer);
+        this.typingTimer = null;
+
+        // destroy() restores the translated heading from now on
+        if (this.typingTarget) {
+            this.originalHeroText = this.typingTarget.innerHTML;
+        }
+        this.applyHeroHeadline();
+    }
+
+    // Replace the hero heading when an experiment sets one
+    applyHeroHeadline() {
+        const headline = Experiments.getFlag('heroHeadline');
+        const heroTitle = document.querySelector('.hero-content h1');
+        if (typeof headline !== 'string' || !heroTitle) return;
+
+        this.typingTarget = heroTitle;
+        this.originalHeroText = heroTitle.innerHTML;
+        heroTitle.textContent = headline;
+    }
+
+    // Public method to get module state
+    getState() {
+        return {
+            isInitialized: this.isInitialized,
+            options: { ...this.options },
+            hasCustomCursor: this.stopCursor !== null,
+            pendingTimers: this.scope ? this.scope.getState().timers : 0
+        };
+    }
+
+    // Remove every listener, timer, animation frame and injected node
+    destroy() {
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+
+        this.injectedNodes.forEach(node => node.remove());
+        this.injectedNodes = [];
+        this.stopCursor = null;
+        this.cursorNodes = null;
+        this.revealObserver = null;
+        this.typingTimer = null;
+
+        if (this.typingTarget) {
+            this.typingTarget.innerHTML = this.originalHeroText;
+            this.typingTarget = null;
+            this.originalHeroText = null;
+        }
+
+        this.isInitialized = false;
     }
 }
 
@@ -186,14 +329,42 @@ class BackgroundParticles {
         this.particles = [];
         this.canvas = null;
         this.ctx = null;
-        this.init();
+        this.isInitialized = false;
+        this.options = {
+            particleCount: 50
+        };
+        this.scope = null;
+        this.stopAnimation = null;
+        // "r, g, b" of the particle token, resolved once per theme
+        this.particleRGB = null;
+        this.handleResize = this.handleResize.bind(this);
     }
 
-    init() {
+    // Called by the app once the DOM is ready
+    init(options = {}) {
+        if (this.isInitialized) return;
+
+        Helpers.deepMerge(this.options, options);
+
+        if (!Experiments.isEnabled('backgroundParticles')) return;
+
+        this.scope = Helpers.createScope('backgroundParticles');
         this.createCanvas();
         this.createParticles();
-        this.animate();
-        this.handleResize();
+
+        // Decorative, so it is the first to yield when a frame runs over budget
+        this.stopAnimation = this.scope.add(Helpers.ticker.add(() => this.animate(), { priority: -10 }));
+        this.scope.listen(window, 'resize', this.handleResize);
+
+        // Canvas pixels do not follow CSS variables, so pick up the new color on theme changes
+        this.updateColors();
+        this.scope.add(EventBus.on('theme:change', () => this.updateColors(), { replay: false }));
+
+        this.isInitialized = true;
+    }
+
+    updateColors() {
+        this.particleRGB = ThemeManager.toRGB(ThemeManager.getToken('particle') || '#ffffff').join(', ');
     }
 
     createCanvas() {
@@ -206,15 +377,15 @@ class BackgroundParticles {
         this.canvas.style.pointerEvents = 'none';
         this.canvas.style.zIndex = '-2';
         this.canvas.style.opacity = '0.6';
-        
+
         this.ctx = this.canvas.getContext('2d');
         document.body.appendChild(this.canvas);
-        
+
         this.resizeCanvas();
     }
 
     createParticles() {
-        const particleCount = 50;
+        const particleCount = this.options.particleCount;
         for (let i = 0; i < particleCount; i++) {
             this.particles.push({
                 x: Math.random() * this.canvas.width,
@@ -229,26 +400,24 @@ class BackgroundParticles {
 
     animate() {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
+
         this.particles.forEach(particle => {
             // Update position
             particle.x += particle.speedX;
             particle.y += particle.speedY;
-            
+
             // Wrap around edges
             if (particle.x < 0) particle.x = this.canvas.width;
             if (particle.x > this.canvas.width) particle.x = 0;
             if (particle.y < 0) particle.y = this.canvas.height;
             if (particle.y > this.canvas.height) particle.y = 0;
-            
+
             // Draw particle
             this.ctx.beginPath();
             this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
-            this.ctx.fillStyle = `rgba(255, 255, 255, ${particle.opacity})`;
+            this.ctx.fillStyle = `rgba(${this.particleRGB}, ${particle.opacity})`;
             this.ctx.fill();
         });
-        
-        requestAnimationFrame(() => this.animate());
     }
 
     resizeCanvas() {
@@ -257,16 +426,76 @@ class BackgroundParticles {
     }
 
     handleResize() {
-        window.addEventListener('resize', () => {
-            this.resizeCanvas();
-        });
+        this.resizeCanvas();
+    }
+
+    // Public method to get module state
+    getState() {
+        return {
+            isInitialized: this.isInitialized,
+            particleCount: this.particles.length,
+            isAnimating: this.stopAnimation !== null,
+            canvasSize: this.canvas ? { width: this.canvas.width, height: this.canvas.height } : null
+        };
+    }
+
+    // Stop the animation loop and remove the canvas
+    destroy() {
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+        this.stopAnimation = null;
+
+        if (this.canvas) {
+            this.canvas.remove();
+        }
+
+        this.canvas = null;
+        this.ctx = null;
+        this.particles = [];
+        this.particleRGB = null;
+        this.isInitialized = false;
     }
 }
 
-// Initialize professional effects
-document.addEventListener('DOMContentLoaded', () => {
-    new ProfessionalEffects();
-    new BackgroundParticles();
+// Module instances, initialized by the app
+const professionalEffects = new ProfessionalEffects();
+const backgroundParticles = new BackgroundParticles();
+
+// Register with the application lifecycle
+ModuleRegistry.register({
+    name: 'professionalEffects',
+    critical: false,
+    instance: professionalEffects,
+    configSchema: {
+        loadingOverlay: { type: 'boolean' },
+        scrollAnimations: { type: 'boolean' },
+        customCursor: { type: 'boolean' },
+        parallax: { type: 'boolean' },
+        smoothScrolling: { type: 'boolean' },
+        typingEffect: { type: 'boolean' },
+        typingSpeed: { type: 'number', min: 0 },
+        typingDelay: { type: 'number', min: 0 }
+    }
 });
 
-export { ProfessionalEffects, BackgroundParticles };
\ No newline at end of file
+ModuleRegistry.register({
+    name: 'backgroundParticles',
+    critical: false,
+    instance: backgroundParticles,
+    configSchema: {
+        particleCount: { type: 'number', min: 0, max: 500 }
+    }
+});
+
+// Make globally available for debugging
+window.ProfessionalEffects = ProfessionalEffects;
+window.BackgroundParticles = BackgroundParticles;
+window.professionalEffects = professionalEffects;
+window.backgroundParticles = backgroundParticles;
+
+// Export for module systems (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProfessionalEffects, BackgroundParticles };
+}
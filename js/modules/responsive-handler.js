@@ -1,434 +1,253 @@
 /**
- * Animations Module
- * Handles scroll animations, hover effects, and interactive animations
+ * Responsive Handler Module
+ * Tracks the active breakpoint with matchMedia and notifies other modules
  */
 
-const Animations = {
-    // Configuration
+const ResponsiveHandler = {
+    // Configuration (min-width in pixels per breakpoint)
     config: {
-        intersectionThreshold: 0.1,
-        intersectionRootMargin: '0px 0px -50px 0px',
-        animationDuration: 600,
-        animationEasing: 'cubic-bezier(0.4, 0, 0.2, 1)',
-        staggerDelay: 100
+        breakpoints: {
+            xs: 0,
+            sm: 480,
+            md: 768,
+            lg: 1024,
+            xl: 1400
+        },
+        bodyClassPrefix: 'bp-'
     },
 
+    // Owns media query listeners while initialized
+    scope: null,
+
     // State
     state: {
-        observers: [],
-        animatedElements: new Set(),
-        isInitialized: false,
-        prefersReducedMotion: false
+        current: null,
+        previous: null,
+        queries: [],
+        handlers: [],
+        isInitialized: false
     },
 
     /**
-     * Initialize animations
+     * Initialize responsive handling
+     * @param {Object} options - Config overrides
      */
-    init() {
+    init(options = {}) {
         if (this.state.isInitialized) return;
-        
-        this.checkMotionPreferences();
-        this.setupScrollAnimations();
-        this.setupHoverEffects();
-        this.setupLoadAnimations();
-        this.bindEvents();
-        
-        this.state.isInitialized = true;
-        console.log('Animations initialized');
-    },
 
-    /**
-     * Check user's motion preferences
-     */
-    checkMotionPreferences() {
-        this.state.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-        
-        if (this.state.prefersReducedMotion) {
-            Helpers.addClass(document.body, 'reduce-motion');
-            console.log('Reduced motion preference detected');
+        // Breakpoints are replaced as a set so stale names do not linger
+        const { breakpoints, ...rest } = options;
+        Helpers.deepMerge(this.config, rest);
+        if (breakpoints) {
+            this.config.breakpoints = { ...breakpoints };
         }
-    },
 
-    /**
-     * Set up scroll-triggered animations
-     */
-    setupScrollAnimations() {
-        if (this.state.prefersReducedMotion) return;
-
-        // Elements to animate on scroll
-        const animateOnScroll = document.querySelectorAll(`
-            .hero-content h1,
-            .hero-content p,
-            .cta-button,
-            .laptop-frame,
-            .scroll-animate
-        `);
-
-        // Create intersection observer
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.animateElement(entry.target);
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, {
-            threshold: this.config.intersectionThreshold,
-            rootMargin: this.config.intersectionRootMargin
-        });
+        this.scope = Helpers.createScope('responsiveHandler');
+        this.createQueries();
+        this.state.current = this.computeBreakpoint();
+        this.updateBodyClass(null, this.state.current);
 
-        // Observe elements
-        animateOnScroll.forEach(element => {
-            if (!this.state.animatedElements.has(element)) {
-                observer.observe(element);
-            }
-        });
-
-        this.state.observers.push(observer);
+        this.state.isInitialized = true;
+        console.log('ResponsiveHandler initialized:', this.state.current);
     },
 
     /**
-     * Animate individual element
-     * @param {Element} element - Element to animate
+     * Get breakpoints sorted by min-width, smallest first
+     * @returns {Array<[string, number]>} Breakpoint name and min-width pairs
      */
-    animateElement(element) {
-        if (this.state.animatedElements.has(element) || this.state.prefersReducedMotion) {
-            return;
-        }
-
-        this.state.animatedElements.add(element);
-        
-        // Add animation class
-        Helpers.addClass(element, 'animate-in');
-        
-        // Trigger custom animation based on element type
-        if (element.matches('.hero-content h1')) {
-            this.animateHeroHeading(element);
-        } else if (element.matches('.laptop-frame')) {
-            this.animateLaptopFrame(element);
-        } else if (element.matches('.cta-button')) {
-            this.animateCTAButton(element);
-        } else {
-            this.animateGeneric(element);
-        }
+    getBreakpoints() {
+        return Object.entries(this.config.breakpoints).sort((a, b) => a[1] - b[1]);
     },
 
     /**
-     * Animate hero heading
-     * @param {Element} element - Heading element
+     * Create a media query listener per breakpoint boundary
      */
-    animateHeroHeading(element) {
-        element.style.opacity = '0';
-        element.style.transform = 'translateY(30px)';
-        
-        setTimeout(() => {
-            element.style.transition = `all ${this.config.animationDuration}ms ${this.config.animationEasing}`;
-            element.style.opacity = '1';
-            element.style.transform = 'translateY(0)';
-        }, 50);
-    },
+    createQueries() {
+        if (typeof window.matchMedia !== 'function') return;
 
-    /**
-     * Animate laptop frame
-     * @param {Element} element - Laptop frame element
-     */
-    animateLaptopFrame(element) {
-        element.style.opacity = '0';
-        element.style.transform = 'translateX(50px) scale(0.9)';
-        
-        setTimeout(() => {
-            element.style.transition = `all ${this.config.animationDuration * 1.2}ms ${this.config.animationEasing}`;
-            element.style.opacity = '1';
-            element.style.transform = 'translateX(0) scale(1)';
-            
-            // Animate screen content after laptop appears
-            setTimeout(() => {
-                this.animateScreenContent(element);
-            }, this.config.animationDuration * 0.6);
-        }, 100);
-    },
+        this.state.queries = this.getBreakpoints()
+            .filter(([, minWidth]) => minWidth > 0)
+            .map(([name, minWidth]) => {
+                const query = window.matchMedia(`(min-width: ${minWidth}px)`);
+                const listener = () => this.handleChange();
 
-    /**
-     * Animate screen content inside laptop
-     * @param {Element} laptopFrame - Laptop frame element
-     */
-    animateScreenContent(laptopFrame) {
-        const screenElements = laptopFrame.querySelectorAll('.screen-content > *');
-        
-        screenElements.forEach((element, index) => {
-            element.style.opacity = '0';
-            element.style.transform = 'translateY(20px)';
-            
-            setTimeout(() => {
-                element.style.transition = `all ${this.config.animationDuration * 0.8}ms ${this.config.animationEasing}`;
-                element.style.opacity = '1';
-                element.style.transform = 'translateY(0)';
-            }, index * this.config.staggerDelay);
-        });
-    },
+                if (typeof query.addEventListener === 'function') {
+                    this.scope.listen(query, 'change', listener);
+                } else {
+                    query.addListener(listener);
+                    this.scope.add(() => query.removeListener(listener));
+                }
 
-    /**
-     * Animate CTA button
-     * @param {Element} element - Button element
-     */
-    animateCTAButton(element) {
-        element.style.opacity = '0';
-        element.style.transform = 'translateY(20px)';
-        
-        setTimeout(() => {
-            element.style.transition = `all ${this.config.animationDuration}ms ${this.config.animationEasing}`;
-            element.style.opacity = '1';
-            element.style.transform = 'translateY(0)';
-        }, 200);
+                return { name, query };
+            });
     },
 
     /**
-     * Generic animation
-     * @param {Element} element - Element to animate
+     * Work out the breakpoint for the current viewport
+     * @returns {string} Breakpoint name
      */
-    animateGeneric(element) {
-        element.style.opacity = '0';
-        element.style.transform = 'translateY(30px)';
-        
-        setTimeout(() => {
-            element.style.transition = `all ${this.config.animationDuration}ms ${this.config.animationEasing}`;
-            element.style.opacity = '1';
-            element.style.transform = 'translateY(0)';
-        }, 50);
-    },
+    computeBreakpoint() {
+        const breakpoints = this.getBreakpoints();
+        const hasMatchMedia = typeof window.matchMedia === 'function';
+        const width = hasMatchMedia ? null : ViewportUtils.getViewportSize().width;
+        let current = breakpoints[0][0];
 
-    /**
-     * Set up hover effects
-     */
-    setupHoverEffects() {
-        if (this.state.prefersReducedMotion) return;
-
-        // Logo hover effect
-        const logo = document.querySelector('.logo');
-        if (logo) {
-            logo.addEventListener('mouseenter', () => this.handleLogoHover(logo));
-            logo.addEventListener('mouseleave', () => this.handleLogoLeave(logo));
-        }
+        breakpoints.forEach(([name, minWidth]) => {
+            const matches = hasMatchMedia
+                ? window.matchMedia(`(min-width: ${minWidth}px)`).matches
+                : width >= minWidth;
 
-        // Navigation link hover effects
-        const navLinks = document.querySelectorAll('nav a');
-        navLinks.forEach(link => {
-            link.addEventListener('mouseenter', () => this.handleNavLinkHover(link));
-            link.addEventListener('mouseleave', () => this.handleNavLinkLeave(link));
+            if (minWidth === 0 || matches) {
+                current = name;
+            }
         });
 
-        // CTA button hover effects
-        const ctaButton = document.querySelector('.cta-button');
-        if (ctaButton) {
-            ctaButton.addEventListener('mouseenter', () => this.handleCTAHover(ctaButton));
-            ctaButton.addEventListener('mouseleave', () => this.handleCTALeave(ctaButton));
-        }
-
-        // Laptop frame hover effect
-        const laptopFrame = document.querySelector('.laptop-frame');
-        if (laptopFrame) {
-            laptopFrame.addEventListener('mouseenter', () => this.handleLaptopHover(laptopFrame));
-            laptopFrame.addEventListener('mouseleave', () => this.handleLaptopLeave(laptopFrame));
-        }
-    },
-
-    /**
-     * Handle logo hover
-     * @param {Element} logo - Logo element
-     */
-    handleLogoHover(logo) {
-        const logoIcon = logo.querySelector('.logo-icon');
-        if (logoIcon) {
-            logoIcon.style.transform = 'scale(1.05) rotate(5deg)';
-        }
-    },
-
-    /**
-     * Handle logo leave
-     * @param {Element} logo - Logo element
-     */
-    handleLogoLeave(logo) {
-        const logoIcon = logo.querySelector('.logo-icon');
-        if (logoIcon) {
-            logoIcon.style.transform = 'scale(1) rotate(0deg)';
-        }
+        return current;
     },
 
     /**
-     * Handle nav link hover
-     * @param {Element} link - Navigation link
+     * Get current breakpoint
+     * @returns {string} Breakpoint name
      */
-    handleNavLinkHover(link) {
-        link.style.transform = 'translateY(-2px)';
+    getCurrentBreakpoint() {
+        return this.state.isInitialized ? this.state.current : this.computeBreakpoint();
     },
 
     /**
-     * Handle nav link leave
-     * @param {Element} link - Navigation link
+     * Check if the viewport is at or above a breakpoint
+     * @param {string} breakpoint - Breakpoint name
+     * @returns {boolean} True if at least the given breakpoint
      */
-    handleNavLinkLeave(link) {
-        link.style.transform = 'translateY(0)';
+    isAtLeast(breakpoint) {
+        const current = this.config.breakpoints[this.getCurrentBreakpoint()];
+        return current >= this.config.breakpoints[breakpoint];
     },
 
     /**
-     * Handle CTA button hover
-     * @param {Element} button - CTA button
+     * Check if the viewport is below a breakpoint
+     * @param {string} breakpoint - Breakpoint name
+     * @returns {boolean} True if below the given breakpoint
      */
-    handleCTAHover(button) {
-        button.style.transform = 'translateX(5px) scale(1.02)';
-        button.style.boxShadow = '0 8px 25px rgba(0, 0, 0, 0.15)';
+    isBelow(breakpoint) {
+        return !this.isAtLeast(breakpoint);
     },
 
     /**
-     * Handle CTA button leave
-     * @param {Element} button - CTA button
+     * Handle a media query change
      */
-    handleCTALeave(button) {
-        button.style.transform = 'translateX(0) scale(1)';
-        button.style.boxShadow = 'none';
-    },
+    handleChange() {
+        const next = this.computeBreakpoint();
+        const previous = this.state.current;
 
-    /**
-     * Handle laptop hover
-     * @param {Element} laptop - Laptop frame
-     */
-    handleLaptopHover(laptop) {
-        laptop.style.transform = 'translateY(-5px) scale(1.02)';
-        
-        // Add subtle glow to screen
-        const screen = laptop.querySelector('.laptop-screen');
-        if (screen) {
-            screen.style.boxShadow = '0 25px 80px rgba(68, 87, 253, 0.3)';
-        }
-    },
+        if (next === previous) return;
 
-    /**
-     * Handle laptop leave
-     * @param {Element} laptop - Laptop frame
-     */
-    handleLaptopLeave(laptop) {
-        laptop.style.transform = 'translateY(0) scale(1)';
-        
-        const screen = laptop.querySelector('.laptop-screen');
-        if (screen) {
-            screen.style.boxShadow = '0 20px 60px rgba(0, 0, 0, 0.3)';
-        }
-    },
+        this.state.previous = previous;
+        this.state.current = next;
+        this.updateBodyClass(previous, next);
 
-    /**
-     * Set up load animations
-     */
-    setupLoadAnimations() {
-        // Animate elements that should appear immediately on load
-        const immediateElements = document.querySelectorAll('.logo, nav ul li');
-        
-        immediateElements.forEach((element, index) => {
-            if (this.state.prefersReducedMotion) {
-                element.style.opacity = '1';
-                return;
+        // Leave handlers run before enter handlers
+        this.state.handlers.forEach(handler => {
+            if (handler.breakpoints.includes(previous) && !handler.breakpoints.includes(next) && handler.leave) {
+                handler.leave({ previous, current: next });
             }
-            
-            element.style.opacity = '0';
-            element.style.transform = 'translateY(-10px)';
-            
-            setTimeout(() => {
-                element.style.transition = `all ${this.config.animationDuration * 0.8}ms ${this.config.animationEasing}`;
-                element.style.opacity = '1';
-                element.style.transform = 'translateY(0)';
-            }, index * 50);
         });
-    },
 
-    /**
-     * Bind events
-     */
-    bindEvents() {
-        // Listen for motion preference changes
-        window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', (e) => {
-            this.state.prefersReducedMotion = e.matches;
-            this.checkMotionPreferences();
+        this.state.handlers.forEach(handler => {
+            if (handler.breakpoints.includes(next) && !handler.breakpoints.includes(previous) && handler.enter) {
+                handler.enter({ previous, current: next });
+            }
         });
 
-        // Listen for custom events
-        document.addEventListener('mobileMenuOpened', () => {
-            this.animateMobileMenuItems();
-        });
+        EventBus.emit('viewport:breakpointchange', { previous, current: next });
     },
 
     /**
-     * Animate mobile menu items
+     * Swap the breakpoint class on the body
+     * @param {string|null} previous - Previous breakpoint
+     * @param {string} next - New breakpoint
      */
-    animateMobileMenuItems() {
-        if (this.state.prefersReducedMotion) return;
-        
-        const menuItems = document.querySelectorAll('#mainNav.active ul li');
-        menuItems.forEach((item, index) => {
-            item.style.opacity = '0';
-            item.style.transform = 'translateX(-20px)';
-            
-            setTimeout(() => {
-                item.style.transition = `all 300ms ease`;
-                item.style.opacity = '1';
-                item.style.transform = 'translateX(0)';
-            }, index * 50);
-        });
-    },
+    updateBodyClass(previous, next) {
+        const prefix = this.config.bodyClassPrefix;
 
-    /**
-     * Create custom animation
-     * @param {Element} element - Target element
-     * @param {Object} keyframes - Animation keyframes
-     * @param {Object} options - Animation options
-     */
-    createAnimation(element, keyframes, options = {}) {
-        if (this.state.prefersReducedMotion) return;
-        
-        const animation = element.animate(keyframes, {
-            duration: options.duration || this.config.animationDuration,
-            easing: options.easing || this.config.animationEasing,
-            fill: options.fill || 'forwards',
-            ...options
-        });
-        
-        return animation;
+        if (previous) {
+            Helpers.removeClass(document.body, `${prefix}${previous}`);
+        }
+        Helpers.addClass(document.body, `${prefix}${next}`);
     },
 
     /**
-     * Pause all animations
+     * Register behavior for one or more breakpoints
+     * @param {string|string[]} breakpoints - Breakpoint name(s)
+     * @param {Object} handlers - Callbacks
+     * @param {Function} [handlers.enter] - Called when entering the breakpoint(s)
+     * @param {Function} [handlers.leave] - Called when leaving the breakpoint(s)
+     * @returns {Function} Unregister function
      */
-    pauseAnimations() {
-        document.querySelectorAll('*').forEach(element => {
-            const animations = element.getAnimations();
-            animations.forEach(animation => animation.pause());
-        });
+    register(breakpoints, { enter = null, leave = null } = {}) {
+        const handler = {
+            breakpoints: Array.isArray(breakpoints) ? breakpoints : [breakpoints],
+            enter,
+            leave
+        };
+
+        this.state.handlers.push(handler);
+
+        // Apply immediately if we are already inside the range
+        const current = this.getCurrentBreakpoint();
+        if (enter && handler.breakpoints.includes(current)) {
+            enter({ previous: null, current });
+        }
+
+        return () => {
+            this.state.handlers = this.state.handlers.filter(item => item !== handler);
+        };
     },
 
     /**
-     * Resume all animations
+     * Get current responsive state
+     * @returns {Object} Current state
      */
-    resumeAnimations() {
-        document.querySelectorAll('*').forEach(element => {
-            const animations = element.getAnimations();
-            animations.forEach(animation => animation.play());
-        });
+    getState() {
+        return {
+            current: this.getCurrentBreakpoint(),
+            previous: this.state.previous,
+            breakpoints: { ...this.config.breakpoints },
+            handlers: this.state.handlers.length
+        };
     },
 
     /**
-     * Destroy animations (cleanup)
+     * Destroy responsive handling (cleanup)
      */
     destroy() {
-        // Disconnect all observers
-        this.state.observers.forEach(observer => {
-            observer.disconnect();
-        });
-        
-        this.state.observers = [];
-        this.state.animatedElements.clear();
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+
+        if (this.state.current) {
+            Helpers.removeClass(document.body, `${this.config.bodyClassPrefix}${this.state.current}`);
+        }
+
+        this.state.queries = [];
+        this.state.handlers = [];
+        this.state.current = null;
+        this.state.previous = null;
         this.state.isInitialized = false;
-        
-        console.log('Animations destroyed');
+
+        console.log('ResponsiveHandler destroyed');
     }
 };
 
-// Make Animations available globally
-window.Animations = Animations;
\ No newline at end of file
+// Register with the application lifecycle (other modules depend on breakpoints)
+ModuleRegistry.register({
+    name: 'responsiveHandler',
+    instance: ResponsiveHandler,
+    configSchema: {
+        breakpoints: { type: 'object' },
+        bodyClassPrefix: { type: 'string' }
+    }
+});
+
+// Make ResponsiveHandler available globally
+window.ResponsiveHandler = ResponsiveHandler;
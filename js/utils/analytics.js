@@ -0,0 +1,328 @@
+/**
+ * Analytics
+ * Turns application events into tracked events and hands them to pluggable sinks
+ *
+ * Every tracked event has the same shape:
+ *
+ *     {
+ *         schema: 1,
+ *         id: 'event-…',
+ *         name: 'cta_click',
+ *         properties: { source: 'cta' },
+ *         timestamp: '2024-01-01T12:00:00.000Z',
+ *         session: { id: 'session-…', sequence: 3, startedAt: '…' },
+ *         page: { url, path, title, referrer, locale, direction, theme, breakpoint }
+ *     }
+ *
+ * Events are held in a queue until analytics consent is granted (see Consent), then sent in
+ * batches. Sinks are functions called with (events, config); built in: console, dataLayer, beacon.
+ * Point the beacon at scripts/analytics-stub-server.js to inspect the payloads locally.
+ */
+
+const Analytics = {
+    // Configuration
+    config: {
+        sinks: ['console'],
+        endpoint: null, // beacon URL
+        dataLayerName: 'dataLayer',
+        consentCategory: 'analytics',
+        exclude: [], // tracked event names to skip
+        maxQueue: 100,
+        batchSize: 10,
+        flushDelay: 2000,
+        sessionKey: 'domedia:analytics-session',
+        sessionTimeout: 30 * 60 * 1000 // ms of inactivity before a new session starts
+    },
+
+    // Schema version sent with every event
+    SCHEMA_VERSION: 1,
+
+    // Bus events that are tracked, with the tracked name and the properties to keep
+    EVENTS: {
+        'nav:getstarted': { name: 'cta_click', properties: ({ source = null }) => ({ source }) },
+        'nav:menuopen': { name: 'menu_open' },
+        'nav:menuclose': { name: 'menu_close' },
+        'nav:sectionchange': { name: 'section_view', properties: ({ section, previous }) => ({ section, previous }) },
+        'laptop:previewopen': { name: 'laptop_preview_open' },
+        'error:reported': {
+            name: 'error',
+            properties: ({ name, message, fingerprint }) => ({ name, message, fingerprint })
+        },
+        'engagement:scrolldepth': { name: 'scroll_depth', properties: ({ depth }) => ({ depth }) },
+        'engagement:sectiontime': {
+            name: 'section_time',
+            properties: ({ section, duration, total }) => ({ section, duration, total })
+        },
+        'engagement:ctaseen': { name: 'cta_seen', properties: ({ time }) => ({ time }) },
+        'engagement:rageclick': { name: 'rage_click', properties: ({ target, clicks }) => ({ target, clicks }) },
+        'experiment:exposure': {
+            name: 'experiment_exposure',
+            properties: ({ experiment, variant, overridden }) => ({ experiment, variant, overridden })
+        }
+    },
+
+    // Sink implementations keyed by name
+    sinks: {},
+
+    // Owns the bus subscriptions and page listeners while initialized
+    scope: null,
+
+    // State
+    state: {
+        queue: [],
+        session: null,
+        dropped: 0,
+        sent: 0,
+        flushTimer: null,
+        isInitialized: false
+    },
+
+    /**
+     * Start tracking
+     * @param {Object} options - Config overrides
+     */
+    init(options = {}) {
+        if (this.state.isInitialized) return;
+
+        Helpers.deepMerge(this.config, options);
+
+        this.scope = Helpers.createScope('analytics');
+
+        Object.entries(this.EVENTS).forEach(([pattern, definition]) => {
+            this.scope.add(EventBus.on(pattern, (detail) => {
+                const properties = definition.properties ? definition.properties(detail || {}) : {};
+                this.track(definition.name, properties);
+            }, { replay: false }));
+        });
+
+        // Send what was held back as soon as the visitor agrees
+        this.scope.add(Consent.whenGranted(this.config.consentCategory, () => this.flush('consent')));
+
+        this.scope.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush('visibilitychange');
+            }
+        });
+        this.scope.listen(window, 'pagehide', () => this.flush('pagehide'));
+
+        this.state.isInitialized = true;
+    },
+
+    /**
+     * Register a sink
+     * @param {string} name - Sink name used in config.sinks
+     * @param {Function} sink - Called with (events, config)
+     */
+    registerSink(name, sink) {
+        if (typeof sink !== 'function') {
+            throw new Error(`Sink "${name}" must be a function`);
+        }
+        this.sinks[name] = sink;
+    },
+
+    /**
+     * Track an event
+     * @param {string} name - Event name in snake_case
+     * @param {Object} properties - Event properties
+     * @returns {Object|null} Queued event, or null if excluded
+     */
+    track(name, properties = {}) {
+        if (this.config.exclude.includes(name)) return null;
+
+        const event = {
+            schema: this.SCHEMA_VERSION,
+            id: Helpers.generateId('event'),
+            name,
+            properties,
+            timestamp: new Date().toISOString(),
+            session: this.getSession(),
+            page: this.getPageContext()
+        };
+
+        this.state.queue.push(event);
+
+        // Without consent the queue could grow all visit long, so the oldest go first
+        if (this.state.queue.length > this.config.maxQueue) {
+            this.state.queue.shift();
+            this.state.dropped++;
+        }
+
+        if (this.state.queue.length >= this.config.batchSize) {
+            this.flush('batch');
+        } else {
+            this.scheduleFlush();
+        }
+
+        return event;
+    },
+
+    /**
+     * Get the session for the next event, starting a new one after inactivity
+     * @returns {Object} Session id, sequence number and start time
+     */
+    getSession() {
+        const now = Date.now();
+        let session = this.state.session || this.loadSession();
+
+        if (!session || now - session.lastSeen > this.config.sessionTimeout) {
+            session = { id: Helpers.generateId('session'), startedAt: now, lastSeen: now, sequence: 0 };
+        }
+
+        session.lastSeen = now;
+        session.sequence++;
+        this.state.session = session;
+        this.saveSession(session);
+
+        return {
+            id: session.id,
+            sequence: session.sequence,
+            startedAt: new Date(session.startedAt).toISOString()
+        };
+    },
+
+    /**
+     * Read the session kept for this tab
+     * @returns {Object|null} Session, or null if none
+     */
+    loadSession() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.config.sessionKey));
+            return Helpers.isPlainObject(stored) && stored.id ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Keep the session for this tab (needs analytics consent)
+     * @param {Object} session - Session
+     */
+    saveSession(session) {
+        if (!Consent.isGranted(this.config.consentCategory)) return;
+
+        try {
+            sessionStorage.setItem(this.config.sessionKey, JSON.stringify(session));
+        } catch (error) {
+            // Storage blocked: the session lasts for this page view
+        }
+    },
+
+    /**
+     * Describe the page an event happened on
+     * @returns {Object} Page context
+     */
+    getPageContext() {
+        return {
+            url: ErrorReporter.scrubUrl(window.location.href),
+            path: window.location.pathname,
+            title: document.title,
+            referrer: document.referrer ? ErrorReporter.scrubUrl(document.referrer) : null,
+            locale: I18n.getLocale(),
+            direction: I18n.getDirection(),
+            theme: ThemeManager.getTheme(),
+            breakpoint: ResponsiveHandler.getCurrentBreakpoint()
+        };
+    },
+
+    /**
+     * Schedule a delayed flush
+     */
+    scheduleFlush() {
+        if (this.state.flushTimer) return;
+
+        this.state.flushTimer = setTimeout(() => {
+            this.state.flushTimer = null;
+            this.flush('timer');
+        }, this.config.flushDelay);
+    },
+
+    /**
+     * Send queued events to every configured sink, if consent allows
+     * @param {string} reason - What triggered the flush
+     * @returns {number} Number of events sent
+     */
+    flush(reason = 'manual') {
+        clearTimeout(this.state.flushTimer);
+        this.state.flushTimer = null;
+
+        if (!this.state.queue.length || !Consent.isGranted(this.config.consentCategory)) return 0;
+
+        const events = this.state.queue.splice(0);
+
+        this.config.sinks.forEach(sink => {
+            const send = typeof sink === 'function' ? sink : this.sinks[sink];
+            if (!send) {
+                console.warn(`Analytics: unknown sink "${sink}"`);
+                return;
+            }
+
+            try {
+                send(events, this.config, reason);
+            } catch (error) {
+                console.warn('Analytics: sink failed', error);
+            }
+        });
+
+        this.state.sent += events.length;
+        return events.length;
+    },
+
+    /**
+     * Get analytics state
+     * @returns {Object} Queue size, totals and session
+     */
+    getState() {
+        return {
+            queued: this.state.queue.length,
+            sent: this.state.sent,
+            dropped: this.state.dropped,
+            session: this.state.session ? this.state.session.id : null,
+            consented: Consent.isGranted(this.config.consentCategory)
+        };
+    },
+
+    /**
+     * Stop tracking and send what is left (cleanup)
+     */
+    destroy() {
+        if (!this.state.isInitialized) return;
+
+        this.flush('destroy');
+
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+
+        this.state.isInitialized = false;
+    }
+};
+
+// Built-in sinks
+
+Analytics.registerSink('console', events => {
+    events.forEach(event => console.log(`Analytics ${event.name}:`, event.properties, event));
+});
+
+Analytics.registerSink('dataLayer', (events, config) => {
+    const dataLayer = window[config.dataLayerName] = window[config.dataLayerName] || [];
+    events.forEach(event => dataLayer.push({ event: event.name, ...event }));
+});
+
+Analytics.registerSink('beacon', (events, config, reason) => {
+    if (!config.endpoint) return;
+
+    const body = JSON.stringify({ events, reason, sentAt: new Date().toISOString() });
+
+    // text/plain keeps the request "simple", so a collector on another origin needs no preflight
+    if (navigator.sendBeacon && navigator.sendBeacon(config.endpoint, new Blob([body], { type: 'text/plain' }))) {
+        return;
+    }
+    if (typeof fetch === 'function') {
+        fetch(config.endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } })
+            .catch(error => console.warn('Analytics: beacon failed', error));
+    }
+});
+
+// Make Analytics available globally
+window.Analytics = Analytics;
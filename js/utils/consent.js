@@ -0,0 +1,502 @@
+/**
+ * Consent
+ * Records what the visitor agreed to, per category, and gates the features that need it
+ *
+ * - necessary: always on (the consent record itself)
+ * - functional: remembered settings such as the theme, and vibration feedback
+ * - analytics: visitor ids, stored error reports, any analytics sinks and the Web Vitals beacon
+ *
+ * Decisions are stored with the config version; bumping the version asks again.
+ * Code that needs a category waits for it instead of checking once:
+ *
+ *     Consent.whenGranted('analytics', () => startTracking());
+ *
+ * Any element with data-consent-open reopens the preferences dialog.
+ */
+
+const Consent = {
+    // Configuration
+    config: {
+        version: 1,
+        storageKey: 'domedia:consent',
+        banner: true, // ask on first visit; off leaves every optional category denied
+        categories: {
+            necessary: { required: true },
+            functional: { storageKeys: ['domedia:theme'] },
+            analytics: { storageKeys: ['domedia:visitor-id', 'domedia:error-reports', 'domedia:analytics-session'] }
+        }
+    },
+
+    // DOM elements
+    elements: {
+        banner: null,
+        dialog: null,
+        backdrop: null
+    },
+
+    // Owns the page listeners while initialized, and the open dialog's listeners
+    scope: null,
+    dialogScope: null,
+
+    // State
+    state: {
+        decision: null,
+        returnFocus: null,
+        isInitialized: false
+    },
+
+    /**
+     * Load the stored decision
+     * @param {Object} options - Config overrides
+     */
+    init(options = {}) {
+        if (this.state.isInitialized) return;
+
+        Helpers.deepMerge(this.config, options);
+
+        this.state.decision = this.load();
+
+        this.scope = Helpers.createScope('consent');
+        this.scope.listen(document, 'click', (e) => {
+            const trigger = e.target.closest('[data-consent-open]');
+            if (trigger) {
+                e.preventDefault();
+                this.openPreferences();
+            }
+        });
+
+        this.state.isInitialized = true;
+    },
+
+    /**
+     * Read the stored decision
+     * @returns {Object|null} Decision, or null if none or made for another version
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.config.storageKey));
+            if (Helpers.isPlainObject(stored) && stored.version === this.config.version &&
+                Helpers.isPlainObject(stored.categories)) {
+                return stored;
+            }
+        } catch (error) {
+            // Storage blocked or unreadable: ask again
+        }
+        return null;
+    },
+
+    /**
+     * Store a decision
+     * @param {Object|null} decision - Decision, or null to forget it
+     */
+    save(decision) {
+        try {
+            if (decision) {
+                localStorage.setItem(this.config.storageKey, JSON.stringify(decision));
+            } else {
+                localStorage.removeItem(this.config.storageKey);
+            }
+        } catch (error) {
+            // Storage blocked: the decision lasts for this page view
+        }
+    },
+
+    /**
+     * Get the configured category names
+     * @returns {string[]} Category names
+     */
+    getCategories() {
+        return Object.keys(this.config.categories);
+    },
+
+    /**
+     * Check whether the visitor has decided for the current version
+     * @returns {boolean} True once a decision is recorded
+     */
+    hasDecision() {
+        return this.state.decision !== null;
+    },
+
+    /**
+     * Check whether a category is granted
+     * @param {string} category - Category name
+     * @returns {boolean} True for required categories and granted ones
+     */
+    isGranted(category) {
+        const definition = this.config.categories[category];
+        if (!definition) return false;
+        if (definition.required) return true;
+
+        return Boolean(this.state.decision && this.state.decision.categories[category]);
+    },
+
+    /**
+     * Record a decision
+     * @param {Object} choices - Granted flag per category (missing ones keep their current value)
+     * @param {string} source - What made the change: banner, dialog or api
+     * @returns {Object} Granted flag per category
+     */
+    update(choices = {}, source = 'api') {
+        const previous = this.state.decision ? { ...this.state.decision.categories } : null;
+        const categories = {};
+
+        this.getCategories().forEach(name => {
+            categories[name] = this.config.categories[name].required
+                ? true
+                : Boolean(name in choices ? choices[name] : this.isGranted(name));
+        });
+
+        this.state.decision = {
+            version: this.config.version,
+            categories,
+            timestamp: Date.now()
+        };
+        this.save(this.state.decision);
+
+        // Withdrawn categories lose what they stored
+        this.getCategories().forEach(name => {
+            if (previous && previous[name] && !categories[name]) {
+                this.clearStorage(name);
+            }
+        });
+
+        this.hideBanner();
+
+        EventBus.emit('consent:change', {
+            categories: { ...categories },
+            previous,
+            version: this.config.version,
+            source
+        });
+
+        return categories;
+    },
+
+    /**
+     * Grant every category
+     * @param {string} source - What made the change
+     * @returns {Object} Granted flag per category
+     */
+    acceptAll(source = 'api') {
+        return this.update(Object.fromEntries(this.getCategories().map(name => [name, true])), source);
+    },
+
+    /**
+     * Deny every optional category
+     * @param {string} source - What made the change
+     * @returns {Object} Granted flag per category
+     */
+    rejectAll(source = 'api') {
+        return this.update(Object.fromEntries(this.getCategories().map(name => [name, false])), source);
+    },
+
+    /**
+     * Forget the decision, clear optional storage and ask again
+     */
+    reset() {
+        const previous = this.state.decision ? { ...this.state.decision.categories } : null;
+
+        this.state.decision = null;
+        this.save(null);
+        this.getCategories().forEach(name => {
+            if (!this.config.categories[name].required) {
+                this.clearStorage(name);
+            }
+        });
+
+        EventBus.emit('consent:change', {
+            categories: Object.fromEntries(this.getCategories().map(name => [name, this.isGranted(name)])),
+            previous,
+            version: this.config.version,
+            source: 'reset'
+        });
+
+        this.prompt();
+    },
+
+    /**
+     * Remove the storage keys a category owns from local and session storage
+     * @param {string} category - Category name
+     */
+    clearStorage(category) {
+        const keys = this.config.categories[category].storageKeys || [];
+
+        keys.forEach(key => {
+            try {
+                localStorage.removeItem(key);
+                sessionStorage.removeItem(key);
+            } catch (error) {
+                // Storage blocked: nothing was stored
+            }
+        });
+    },
+
+    /**
+     * Run a callback once a category is granted (straight away if it already is)
+     * @param {string} category - Category name
+     * @param {Function} callback - Called once
+     * @returns {Function} Cancel function
+     */
+    whenGranted(category, callback) {
+        if (this.isGranted(category)) {
+            callback();
+            return () => {};
+        }
+
+        const off = EventBus.on('consent:change', ({ categories }) => {
+            if (categories[category]) {
+                off();
+                callback();
+            }
+        }, { replay: false });
+
+        return off;
+    },
+
+    /**
+     * Show the banner if the visitor has not decided yet
+     */
+    prompt() {
+        if (this.config.banner && !this.hasDecision()) {
+            this.showBanner();
+        }
+    },
+
+    /**
+     * Show the consent banner
+     */
+    showBanner() {
+        if (this.elements.banner) return;
+
+        const banner = document.createElement('section');
+        banner.className = 'consent-banner';
+        banner.setAttribute('data-i18n-attr', 'aria-label:consent.banner.label');
+
+        const message = document.createElement('p');
+        message.className = 'consent-message';
+        message.setAttribute('data-i18n', 'consent.banner.message');
+
+        const actions = document.createElement('div');
+        actions.className = 'consent-actions';
+        actions.append(
+            this.createButton('consent.banner.acceptAll', () => this.acceptAll('banner'), true),
+            this.createButton('consent.banner.rejectAll', () => this.rejectAll('banner')),
+            this.createButton('consent.banner.customize', () => this.openPreferences())
+        );
+
+        banner.append(message, actions);
+        I18n.translate(banner);
+        document.body.appendChild(banner);
+        this.elements.banner = banner;
+    },
+
+    /**
+     * Remove the consent banner
+     */
+    hideBanner() {
+        if (!this.elements.banner) return;
+
+        this.elements.banner.remove();
+        this.elements.banner = null;
+    },
+
+    /**
+     * Create a translated button (labels follow locale changes through data-i18n)
+     * @param {string} key - I18n key
+     * @param {Function} onClick - Click handler
+     * @param {boolean} primary - Style as the main action
+     * @param {Object} scope - Scope that owns the listener
+     * @returns {HTMLButtonElement} Button
+     */
+    createButton(key, onClick, primary = false, scope = this.scope) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = primary ? 'consent-button consent-button-primary' : 'consent-button';
+        button.setAttribute('data-i18n', key);
+        button.textContent = key;
+        scope.listen(button, 'click', onClick);
+        return button;
+    },
+
+    /**
+     * Open the preferences dialog
+     */
+    openPreferences() {
+        if (this.elements.dialog) return;
+
+        this.state.returnFocus = document.activeElement;
+        this.dialogScope = Helpers.createScope('consent');
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'consent-backdrop';
+        this.dialogScope.listen(backdrop, 'click', () => this.closePreferences());
+
+        const dialog = document.createElement('div');
+        dialog.className = 'consent-dialog';
+        dialog.id = Helpers.generateId('consent-dialog');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', `${dialog.id}-title`);
+
+        const title = document.createElement('h2');
+        title.className = 'consent-title';
+        title.id = `${dialog.id}-title`;
+        title.setAttribute('data-i18n', 'consent.dialog.title');
+
+        const list = document.createElement('ul');
+        list.className = 'consent-categories';
+        this.getCategories().forEach(name => {
+            list.appendChild(this.createCategory(name, dialog.id));
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'consent-actions';
+        actions.append(
+            this.createButton('consent.dialog.save', () => this.savePreferences(), true, this.dialogScope),
+            this.createButton('consent.banner.acceptAll', () => {
+                this.acceptAll('dialog');
+                this.closePreferences();
+            }, false, this.dialogScope)
+        );
+
+        dialog.append(title, list, actions);
+        I18n.translate(dialog);
+
+        this.dialogScope.listen(dialog, 'keydown', (e) => this.handleDialogKeydown(e));
+
+        document.body.append(backdrop, dialog);
+        this.elements.backdrop = backdrop;
+        this.elements.dialog = dialog;
+
+        const [first] = Helpers.getFocusableElements(dialog);
+        if (first) first.focus();
+    },
+
+    /**
+     * Create the toggle for one category
+     * @param {string} name - Category name
+     * @param {string} dialogId - Dialog id, used to build element ids
+     * @returns {HTMLLIElement} List item
+     */
+    createCategory(name, dialogId) {
+        const item = document.createElement('li');
+        item.className = 'consent-category';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = `${dialogId}-${name}`;
+        input.name = name;
+        input.checked = this.isGranted(name);
+        input.disabled = Boolean(this.config.categories[name].required);
+        input.setAttribute('aria-describedby', `${input.id}-description`);
+
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.textContent = name;
+        label.setAttribute('data-i18n', `consent.categories.${name}.title`);
+
+        const description = document.createElement('p');
+        description.id = `${input.id}-description`;
+        description.className = 'consent-description';
+        description.setAttribute('data-i18n', `consent.categories.${name}.description`);
+
+        item.append(input, label, description);
+        return item;
+    },
+
+    /**
+     * Record the dialog's checkboxes and close it
+     */
+    savePreferences() {
+        const choices = {};
+        this.elements.dialog.querySelectorAll('.consent-category input').forEach(input => {
+            choices[input.name] = input.checked;
+        });
+
+        this.update(choices, 'dialog');
+        this.closePreferences();
+    },
+
+    /**
+     * Close on Escape and keep Tab inside the dialog
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleDialogKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closePreferences();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = Helpers.getFocusableElements(this.elements.dialog);
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
+    /**
+     * Close the preferences dialog and return focus
+     */
+    closePreferences() {
+        if (!this.elements.dialog) return;
+
+        this.dialogScope.dispose();
+        this.dialogScope = null;
+
+        this.elements.dialog.remove();
+        this.elements.backdrop.remove();
+        this.elements.dialog = null;
+        this.elements.backdrop = null;
+
+        // Fall back to the banner if the element that opened the dialog is gone
+        const returnFocus = this.state.returnFocus;
+        this.state.returnFocus = null;
+        if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+            returnFocus.focus();
+        } else if (this.elements.banner) {
+            const [first] = Helpers.getFocusableElements(this.elements.banner);
+            if (first) first.focus();
+        }
+    },
+
+    /**
+     * Get consent state
+     * @returns {Object} Decision and granted flag per category
+     */
+    getState() {
+        return {
+            hasDecision: this.hasDecision(),
+            version: this.config.version,
+            timestamp: this.state.decision ? this.state.decision.timestamp : null,
+            categories: Object.fromEntries(this.getCategories().map(name => [name, this.isGranted(name)]))
+        };
+    },
+
+    /**
+     * Remove the banner, dialog and listeners (the decision is kept)
+     */
+    destroy() {
+        this.closePreferences();
+        this.hideBanner();
+
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+
+        this.state.isInitialized = false;
+    }
+};
+
+// Make Consent available globally
+window.Consent = Consent;
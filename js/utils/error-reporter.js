@@ -0,0 +1,393 @@
+/**
+ * Error Reporter
+ * Collects, de-duplicates, scrubs and ships error reports through pluggable transports
+ */
+
+const ErrorReporter = {
+    // Configuration
+    config: {
+        endpoint: null,
+        transports: ['console'],
+        bufferOnFailure: true,
+        storageKey: 'domedia:error-reports',
+        maxStoredReports: 50,
+        maxReportsPerMinute: 10,
+        batchSize: 10,
+        flushDelay: 5000,
+        sensitiveParams: ['token', 'key', 'apikey', 'api_key', 'password', 'pass', 'secret', 'auth', 'session', 'sid', 'email', 'phone', 'code']
+    },
+
+    // Transport implementations keyed by name
+    transports: {},
+
+    // State
+    state: {
+        queue: [],
+        fingerprints: new Map(),
+        acceptedAt: [],
+        dropped: 0,
+        flushTimer: null,
+        isInitialized: false
+    },
+
+    /**
+     * Initialize the reporter
+     * @param {Object} options - Config overrides
+     */
+    init(options = {}) {
+        if (this.state.isInitialized) return;
+
+        this.config = { ...this.config, ...options };
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('pagehide', this.handlePageHide);
+
+        this.state.isInitialized = true;
+
+        // Resend reports buffered by a previous page view
+        if (this.hasNetworkTransport()) {
+            const buffered = this.transports.storage.drain(this.config);
+            if (buffered.length) {
+                this.state.queue.push(...buffered);
+                this.scheduleFlush();
+            }
+        }
+    },
+
+    /**
+     * Register a transport
+     * @param {string} name - Transport name used in config.transports
+     * @param {Object} transport - Object with send(reports, config) returning a Promise<boolean>
+     */
+    registerTransport(name, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error(`Transport "${name}" must implement send()`);
+        }
+        this.transports[name] = transport;
+    },
+
+    /**
+     * Report an error
+     * @param {Error|*} error - Error to report
+     * @param {Object} context - Extra context (module name, app state...)
+     * @returns {Object|null} Queued report, or null if it was a repeat or rate limited
+     */
+    report(error, context = {}) {
+        const report = this.buildReport(error, context);
+        const existing = this.state.fingerprints.get(report.fingerprint);
+
+        // Repeats are counted, not resent
+        if (existing) {
+            existing.count++;
+            existing.lastSeen = report.timestamp;
+            return null;
+        }
+
+        if (this.isRateLimited()) {
+            this.state.dropped++;
+            return null;
+        }
+
+        this.state.fingerprints.set(report.fingerprint, {
+            count: 1,
+            firstSeen: report.timestamp,
+            lastSeen: report.timestamp
+        });
+        this.state.acceptedAt.push(Date.now());
+        this.state.queue.push(report);
+
+        // Only the scrubbed summary goes on the bus
+        EventBus.emit('error:reported', {
+            name: report.name,
+            message: report.message,
+            fingerprint: report.fingerprint
+        });
+
+        if (this.state.queue.length >= this.config.batchSize) {
+            this.flush('batch');
+        } else {
+            this.scheduleFlush();
+        }
+
+        return report;
+    },
+
+    /**
+     * Build a scrubbed report object
+     * @param {Error|*} error - Error to report
+     * @param {Object} context - Extra context
+     * @returns {Object} Report
+     */
+    buildReport(error, context) {
+        const isError = error && typeof error === 'object';
+        const name = isError && error.name ? error.name : 'Error';
+        const message = this.scrubText(isError && error.message ? error.message : String(error || 'Unknown error'));
+        const stack = this.scrubText(isError && error.stack ? error.stack : '');
+
+        return {
+            name,
+            message,
+            stack: stack || 'No stack trace',
+            fingerprint: this.fingerprint(name, message, stack),
+            timestamp: new Date().toISOString(),
+            url: this.scrubUrl(window.location.href),
+            userAgent: navigator.userAgent,
+            context
+        };
+    },
+
+    /**
+     * Create a stable fingerprint for an error
+     * @param {string} name - Error name
+     * @param {string} message - Scrubbed message
+     * @param {string} stack - Scrubbed stack
+     * @returns {string} Fingerprint
+     */
+    fingerprint(name, message, stack) {
+        // Numbers vary between otherwise identical errors (ids, line offsets in messages)
+        const normalizedMessage = message.replace(/\d+/g, 'N');
+        const firstFrame = (stack.split('\n').find(line => /\bat\b|@/.test(line)) || '').trim();
+        const source = `${name}|${normalizedMessage}|${firstFrame}`;
+
+        return Helpers.hashString(source).toString(36);
+    },
+
+    /**
+     * Remove personal data from free text
+     * @param {string} text - Text to scrub
+     * @returns {string} Scrubbed text
+     */
+    scrubText(text) {
+        return String(text)
+            .replace(/https?:\/\/[^\s'")]+/g, url => this.scrubUrl(url))
+            .replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]')
+            .replace(/\b(?:\d[ -]?){13,19}\b/g, '[number]')
+            .replace(/\+?\d[\d\s().-]{7,}\d/g, '[phone]')
+            .replace(/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g, '$1 [token]');
+    },
+
+    /**
+     * Remove credentials and sensitive query values from a URL
+     * @param {string} url - URL to scrub
+     * @returns {string} Scrubbed URL
+     */
+    scrubUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url, window.location.href);
+        } catch (error) {
+            return url;
+        }
+
+        parsed.username = '';
+        parsed.password = '';
+
+        const sensitive = this.config.sensitiveParams;
+        parsed.searchParams.forEach((value, key) => {
+            if (sensitive.includes(key.toLowerCase())) {
+                parsed.searchParams.set(key, 'REDACTED');
+            }
+        });
+
+        // Fragments may carry OAuth tokens
+        if (/token|key|secret/i.test(parsed.hash)) {
+            parsed.hash = '';
+        }
+
+        return parsed.toString();
+    },
+
+    /**
+     * Check the per-minute report budget
+     * @returns {boolean} True if no more reports are allowed right now
+     */
+    isRateLimited() {
+        const windowStart = Date.now() - 60000;
+        this.state.acceptedAt = this.state.acceptedAt.filter(time => time > windowStart);
+        return this.state.acceptedAt.length >= this.config.maxReportsPerMinute;
+    },
+
+    /**
+     * Schedule a delayed flush
+     */
+    scheduleFlush() {
+        if (this.state.flushTimer) return;
+
+        this.state.flushTimer = setTimeout(() => {
+            this.state.flushTimer = null;
+            this.flush('timer');
+        }, this.config.flushDelay);
+    },
+
+    /**
+     * Send all queued reports through the configured transports
+     * @param {string} reason - What triggered the flush
+     * @returns {Promise<boolean>} True if every transport accepted the batch
+     */
+    async flush(reason = 'manual') {
+        clearTimeout(this.state.flushTimer);
+        this.state.flushTimer = null;
+
+        if (!this.state.queue.length) return true;
+
+        const reports = this.state.queue.splice(0).map(report => ({
+            ...report,
+            count: (this.state.fingerprints.get(report.fingerprint) || { count: 1 }).count
+        }));
+
+        const results = await Promise.all(this.config.transports.map(async name => {
+            const transport = this.transports[name];
+            if (!transport) {
+                console.warn(`ErrorReporter: unknown transport "${name}"`);
+                return false;
+            }
+
+            try {
+                return await transport.send(reports, this.config, reason);
+            } catch (error) {
+                console.warn(`ErrorReporter: transport "${name}" failed`, error);
+                return false;
+            }
+        }));
+
+        const delivered = results.every(Boolean);
+
+        if (!delivered && this.config.bufferOnFailure && this.hasNetworkTransport()) {
+            this.transports.storage.send(reports, this.config);
+        }
+
+        return delivered;
+    },
+
+    /**
+     * Check whether any configured transport sends over the network
+     * @returns {boolean} True if beacon or fetch is configured
+     */
+    hasNetworkTransport() {
+        return Boolean(this.config.endpoint) &&
+            this.config.transports.some(name => name === 'beacon' || name === 'fetch');
+    },
+
+    /**
+     * Flush when the page is hidden
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.flush('visibilitychange');
+        }
+    },
+
+    /**
+     * Flush when the page is unloaded
+     */
+    handlePageHide() {
+        this.flush('pagehide');
+    },
+
+    /**
+     * Get reporter statistics
+     * @returns {Object} Current state
+     */
+    getStats() {
+        const fingerprints = {};
+        this.state.fingerprints.forEach((entry, fingerprint) => {
+            fingerprints[fingerprint] = { ...entry };
+        });
+
+        return {
+            queued: this.state.queue.length,
+            dropped: this.state.dropped,
+            fingerprints
+        };
+    },
+
+    /**
+     * Destroy the reporter (cleanup)
+     */
+    destroy() {
+        if (!this.state.isInitialized) return;
+
+        this.flush('destroy');
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        this.state.isInitialized = false;
+    }
+};
+
+// Built-in transports
+
+ErrorReporter.registerTransport('console', {
+    send(reports) {
+        reports.forEach(report => console.log('Error report:', report));
+        return Promise.resolve(true);
+    }
+});
+
+ErrorReporter.registerTransport('fetch', {
+    async send(reports, config) {
+        if (!config.endpoint || typeof fetch !== 'function') return false;
+
+        const response = await fetch(config.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reports }),
+            keepalive: true
+        });
+
+        return response.ok;
+    }
+});
+
+ErrorReporter.registerTransport('beacon', {
+    send(reports, config, reason) {
+        if (!config.endpoint) return Promise.resolve(false);
+
+        const body = JSON.stringify({ reports });
+
+        // sendBeacon survives page unload; fall back to fetch elsewhere.
+        // It always sends credentials, so text/plain keeps it a simple request: a JSON beacon to
+        // another origin needs a preflight that a wildcard-CORS collector fails, after sendBeacon
+        // has already returned true.
+        if (navigator.sendBeacon) {
+            const blob = new Blob([body], { type: 'text/plain' });
+            if (navigator.sendBeacon(config.endpoint, blob)) {
+                return Promise.resolve(true);
+            }
+        }
+
+        return ErrorReporter.transports.fetch.send(reports, config, reason);
+    }
+});
+
+ErrorReporter.registerTransport('storage', {
+    send(reports, config) {
+        // Stored reports identify the visitor's device, so they wait for analytics consent
+        if (!Consent.isGranted('analytics')) {
+            return Promise.resolve(false);
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(config.storageKey) || '[]');
+            const combined = stored.concat(reports).slice(-config.maxStoredReports);
+            localStorage.setItem(config.storageKey, JSON.stringify(combined));
+            return Promise.resolve(true);
+        } catch (error) {
+            return Promise.resolve(false);
+        }
+    },
+
+    drain(config) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(config.storageKey) || '[]');
+            localStorage.removeItem(config.storageKey);
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+});
+
+// Make ErrorReporter available globally
+window.ErrorReporter = ErrorReporter;
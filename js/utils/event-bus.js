@@ -0,0 +1,224 @@
+/**
+ * Event Bus
+ * Namespaced application events with wildcard subscriptions, sticky replay and a debug log
+ */
+
+const EventBus = {
+    // Configuration
+    config: {
+        // Log every emitted event (development mode)
+        debug: /[?&]debug=1\b/.test(window.location.search) ||
+            ['localhost', '127.0.0.1'].includes(window.location.hostname),
+        logLimit: 200,
+        // Events replayed to subscribers that arrive after they were emitted
+        sticky: ['app:loaded', 'app:degraded', 'app:update-available', 'cta:visibilitychange']
+    },
+
+    /**
+     * Event catalog: every application event and its payload
+     * Events without an entry still work, but are flagged in debug mode.
+     */
+    CATALOG: {
+        'app:loaded': '{ timestamp: number, modules: string[] }',
+        'app:degraded': '{ disabled: string[], errors: Array<{ name, message }> }',
+        'app:error': 'Error',
+        'app:refresh': '{ root: Element|Document, modules: string[] }',
+        'app:update-available': '{ scope: string }',
+        'module:statechange': '{ name: string, previous: string|null, state: string, error: Error|null }',
+        'nav:menuopen': 'null',
+        'nav:menuclose': 'null',
+        'nav:getstarted': '{ source: string }',
+        'nav:sectionchange': '{ section: string, previous: string|null }',
+        'route:change': '{ route: string, previous: string|null, source: string }',
+        'viewport:breakpointchange': '{ previous: string, current: string }',
+        'i18n:localechange': '{ locale: string, previous: string|null, direction: string }',
+        'consent:change': '{ categories: Object, previous: Object|null, version: number, source: string }',
+        'laptop:previewopen': 'null',
+        'cta:visibilitychange': '{ visible: boolean }',
+        'engagement:scrolldepth': '{ depth: number, maxDepth: number }',
+        'engagement:sectiontime': '{ section: string, duration: number, total: number, reason: string }',
+        'engagement:ctaseen': '{ time: number }',
+        'engagement:rageclick': '{ target: string, clicks: number }',
+        'error:reported': '{ name: string, message: string, fingerprint: string }',
+        'theme:change': '{ theme: string, previous: string|null, preference: string, tokens: Object }',
+        'perf:vital': '{ name, value, rating, attribution, timestamp }',
+        'experiment:exposure': '{ experiment: string, variant: string, visitorId: string, overridden: boolean }'
+    },
+
+    // Legacy DOM event dispatched for each bus event (compatibility bridge)
+    BRIDGE: {
+        'app:loaded': 'appLoaded',
+        'app:degraded': 'appDegraded',
+        'app:error': 'appError',
+        'module:statechange': 'moduleStateChange',
+        'nav:menuopen': 'mobileMenuOpened',
+        'nav:menuclose': 'mobileMenuClosed',
+        'nav:getstarted': 'getStartedClicked',
+        'viewport:breakpointchange': 'breakpointchange',
+        'perf:vital': 'webVital'
+    },
+
+    // State
+    state: {
+        listeners: [],
+        sticky: new Map(),
+        log: []
+    },
+
+    /**
+     * Subscribe to an event or namespace
+     * @param {string} pattern - Event name, "namespace:*" or "*"
+     * @param {Function} handler - Called with (detail, event)
+     * @param {Object} options - Subscription options
+     * @param {boolean} [options.once=false] - Remove after the first call
+     * @param {boolean} [options.replay=true] - Replay matching sticky events
+     * @returns {Function} Unsubscribe function
+     */
+    on(pattern, handler, { once = false, replay = true } = {}) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for "${pattern}" must be a function`);
+        }
+
+        const listener = { pattern, handler, once };
+
+        if (replay) {
+            for (const [name, event] of this.state.sticky) {
+                if (!this.matches(pattern, name)) continue;
+
+                this.invoke(listener, event);
+                if (once) {
+                    return () => {};
+                }
+            }
+        }
+
+        this.state.listeners.push(listener);
+        return () => this.removeListener(listener);
+    },
+
+    /**
+     * Subscribe for a single call
+     * @param {string} pattern - Event name or wildcard pattern
+     * @param {Function} handler - Called with (detail, event)
+     * @returns {Function} Unsubscribe function
+     */
+    once(pattern, handler) {
+        return this.on(pattern, handler, { once: true });
+    },
+
+    /**
+     * Unsubscribe a handler
+     * @param {string} pattern - Pattern it was subscribed with
+     * @param {Function} handler - Handler to remove
+     */
+    off(pattern, handler) {
+        this.state.listeners = this.state.listeners.filter(listener => {
+            return !(listener.pattern === pattern && listener.handler === handler);
+        });
+    },
+
+    /**
+     * Emit an event
+     * @param {string} name - Namespaced event name, e.g. "nav:menuopen"
+     * @param {*} detail - Event payload
+     */
+    emit(name, detail = null) {
+        const event = { name, detail, timestamp: Date.now() };
+
+        if (this.config.sticky.includes(name)) {
+            this.state.sticky.set(name, event);
+        }
+
+        if (this.config.debug) {
+            this.record(event);
+        }
+
+        // Copy so handlers can unsubscribe while we iterate
+        [...this.state.listeners].forEach(listener => {
+            if (this.matches(listener.pattern, name)) {
+                this.invoke(listener, event);
+            }
+        });
+
+        // Keep existing document listeners working
+        if (this.BRIDGE[name]) {
+            Helpers.dispatchEvent(this.BRIDGE[name], detail);
+        }
+    },
+
+    /**
+     * Check whether a pattern matches an event name
+     * @param {string} pattern - Event name, "namespace:*" or "*"
+     * @param {string} name - Event name
+     * @returns {boolean} True if matched
+     */
+    matches(pattern, name) {
+        if (pattern === '*' || pattern === name) return true;
+        if (pattern.endsWith(':*')) {
+            return name.startsWith(pattern.slice(0, -1));
+        }
+        return false;
+    },
+
+    /**
+     * Call a listener, isolating failures
+     * @param {Object} listener - Listener record
+     * @param {Object} event - Event
+     */
+    invoke(listener, event) {
+        if (listener.once) {
+            this.removeListener(listener);
+        }
+
+        try {
+            listener.handler(event.detail, event);
+        } catch (error) {
+            console.error(`EventBus: handler for "${event.name}" failed`, error);
+        }
+    },
+
+    /**
+     * Remove a listener record
+     * @param {Object} listener - Listener record
+     */
+    removeListener(listener) {
+        this.state.listeners = this.state.listeners.filter(item => item !== listener);
+    },
+
+    /**
+     * Append an event to the debug log
+     * @param {Object} event - Event
+     */
+    record(event) {
+        if (!this.CATALOG[event.name]) {
+            console.warn(`EventBus: "${event.name}" is not in the event catalog`);
+        }
+
+        this.state.log.push(event);
+        if (this.state.log.length > this.config.logLimit) {
+            this.state.log.shift();
+        }
+    },
+
+    /**
+     * Get the debug log
+     * @param {string} pattern - Optional filter pattern
+     * @returns {Object[]} Logged events
+     */
+    getLog(pattern = '*') {
+        return this.state.log.filter(event => this.matches(pattern, event.name));
+    },
+
+    /**
+     * Get the last payload of a sticky event
+     * @param {string} name - Event name
+     * @returns {*} Payload, or undefined if not emitted yet
+     */
+    getSticky(name) {
+        const event = this.state.sticky.get(name);
+        return event ? event.detail : undefined;
+    }
+};
+
+// Make EventBus available globally
+window.EventBus = EventBus;
@@ -0,0 +1,274 @@
+/**
+ * Experiments
+ * Feature flags and A/B experiments with deterministic bucketing per visitor
+ *
+ * Experiments are defined in the site configuration under "app.experiments.definitions".
+ * Each variant may override flags; modules read flags and never look at experiments directly:
+ *
+ *     "heroCopy": {
+ *         "variants": {
+ *             "control": { "weight": 50 },
+ *             "direct": { "weight": 50, "flags": { "heroHeadline": "Digital made simple", "ctaLabel": "Start now" } }
+ *         }
+ *     }
+ *
+ * QA overrides: ?flags=typingEffect:false,customCursor:false and ?variant=heroCopy:direct
+ */
+
+const Experiments = {
+    // Configuration
+    config: {
+        storageKey: 'domedia:visitor-id',
+        flagsParam: 'flags',
+        variantParam: 'variant',
+        // Known flags and their defaults
+        flags: {
+            typingEffect: true,
+            customCursor: true,
+            backgroundParticles: true,
+            heroHeadline: null,
+            ctaLabel: null
+        },
+        definitions: {}
+    },
+
+    // State
+    state: {
+        visitorId: null,
+        flagOverrides: {},
+        variantOverrides: {},
+        assignments: {},
+        exposed: new Set(),
+        isInitialized: false
+    },
+
+    /**
+     * Load the visitor id, definitions and URL overrides
+     * @param {Object} options - Config overrides ({ flags, definitions })
+     */
+    init(options = {}) {
+        if (this.state.isInitialized) return;
+
+        Helpers.deepMerge(this.config, options);
+
+        this.state.visitorId = this.loadVisitorId();
+        this.config.definitions = this.validateDefinitions(this.config.definitions);
+        this.readOverrides();
+
+        this.state.isInitialized = true;
+    },
+
+    /**
+     * Read or create the visitor id (persisted once analytics consent is granted)
+     * @returns {string} Visitor id
+     */
+    loadVisitorId() {
+        try {
+            const stored = localStorage.getItem(this.config.storageKey);
+            if (stored) return stored;
+        } catch (error) {
+            // Storage blocked: bucketing still works for this page view
+        }
+
+        // Until then the id, and so the bucketing, lasts for this page view
+        const visitorId = Helpers.generateId('visitor');
+        Consent.whenGranted('analytics', () => {
+            try {
+                localStorage.setItem(this.config.storageKey, visitorId);
+            } catch (error) {
+                // Storage blocked
+            }
+        });
+        return visitorId;
+    },
+
+    /**
+     * Drop experiments that cannot be bucketed
+     * @param {Object} definitions - Experiment definitions
+     * @returns {Object} Valid definitions
+     */
+    validateDefinitions(definitions) {
+        const valid = {};
+
+        Object.entries(definitions).forEach(([name, definition]) => {
+            const listed = Helpers.isPlainObject(definition) ? definition.variants : null;
+            if (!Helpers.isPlainObject(listed) || !Object.keys(listed).length) {
+                console.warn(`Experiments: "${name}" has no variants`);
+                return;
+            }
+
+            // Config-driven definitions can hold null or malformed entries
+            const variants = {};
+            Object.entries(listed).forEach(([key, variant]) => {
+                if (Helpers.isPlainObject(variant)) {
+                    variants[key] = variant;
+                } else {
+                    console.warn(`Experiments: ignoring variant "${name}:${key}", it must be an object`);
+                }
+            });
+
+            const total = Object.values(variants).reduce((sum, variant) => {
+                return sum + (typeof variant.weight === 'number' && variant.weight > 0 ? variant.weight : 0);
+            }, 0);
+            if (!total) {
+                console.warn(`Experiments: "${name}" variants need a positive weight`);
+                return;
+            }
+
+            valid[name] = { ...definition, variants };
+        });
+
+        return valid;
+    },
+
+    /**
+     * Read QA overrides from the query string
+     */
+    readOverrides() {
+        const params = new URLSearchParams(window.location.search);
+
+        this.state.flagOverrides = this.parseOverrideList(params.get(this.config.flagsParam), value => {
+            return SiteConfig.parseAttributeValue(value);
+        });
+
+        this.state.variantOverrides = this.parseOverrideList(params.get(this.config.variantParam), value => value);
+        Object.entries(this.state.variantOverrides).forEach(([name, variant]) => {
+            const definition = this.config.definitions[name];
+            if (!definition || !definition.variants[variant]) {
+                console.warn(`Experiments: ignoring override ${name}:${variant}`);
+                delete this.state.variantOverrides[name];
+            }
+        });
+    },
+
+    /**
+     * Parse "name:value,name:value"
+     * @param {string|null} list - Parameter value
+     * @param {Function} parse - Converts each value
+     * @returns {Object} Values keyed by name
+     */
+    parseOverrideList(list, parse) {
+        const values = {};
+        if (!list) return values;
+
+        list.split(',').forEach(pair => {
+            const index = pair.indexOf(':');
+            if (index < 1) return;
+            values[pair.slice(0, index).trim()] = parse(pair.slice(index + 1));
+        });
+
+        return values;
+    },
+
+    /**
+     * Get the variant a visitor is assigned to, recording an exposure
+     * @param {string} name - Experiment name
+     * @returns {string|null} Variant name, or null for unknown experiments
+     */
+    getVariant(name) {
+        const definition = this.config.definitions[name];
+        if (!definition) return null;
+
+        if (!this.state.assignments[name]) {
+            this.state.assignments[name] = this.state.variantOverrides[name] || this.bucket(name, definition);
+        }
+
+        const variant = this.state.assignments[name];
+        this.recordExposure(name, variant);
+        return variant;
+    },
+
+    /**
+     * Pick a variant from the visitor id (same visitor, same variant)
+     * @param {string} name - Experiment name
+     * @param {Object} definition - Experiment definition
+     * @returns {string} Variant name
+     */
+    bucket(name, definition) {
+        const variants = Object.entries(definition.variants).filter(([, variant]) => variant.weight > 0);
+        const total = variants.reduce((sum, [, variant]) => sum + variant.weight, 0);
+        const point = (Helpers.hashString(`${this.state.visitorId}:${name}`) % 10000) / 10000 * total;
+
+        let cumulative = 0;
+        const match = variants.find(([, variant]) => {
+            cumulative += variant.weight;
+            return point < cumulative;
+        });
+
+        return (match || variants[variants.length - 1])[0];
+    },
+
+    /**
+     * Announce the first time a visitor sees an experiment on this page
+     * @param {string} name - Experiment name
+     * @param {string} variant - Variant name
+     */
+    recordExposure(name, variant) {
+        if (this.state.exposed.has(name)) return;
+        this.state.exposed.add(name);
+
+        EventBus.emit('experiment:exposure', {
+            experiment: name,
+            variant,
+            visitorId: this.state.visitorId,
+            overridden: name in this.state.variantOverrides
+        });
+    },
+
+    /**
+     * Get a flag value
+     *
+     * URL overrides win, then the variant of any experiment that sets the flag,
+     * then the configured default.
+     *
+     * @param {string} name - Flag name
+     * @param {*} fallback - Value for unknown flags
+     * @returns {*} Flag value
+     */
+    getFlag(name, fallback = null) {
+        if (name in this.state.flagOverrides) {
+            return this.state.flagOverrides[name];
+        }
+
+        for (const [experiment, definition] of Object.entries(this.config.definitions)) {
+            const controlsFlag = Object.values(definition.variants).some(variant => {
+                return variant.flags && name in variant.flags;
+            });
+            if (!controlsFlag) continue;
+
+            // Reading the flag exposes the visitor, whichever variant they are in
+            const variant = definition.variants[this.getVariant(experiment)];
+            if (variant.flags && name in variant.flags) {
+                return variant.flags[name];
+            }
+        }
+
+        return name in this.config.flags ? this.config.flags[name] : fallback;
+    },
+
+    /**
+     * Check a boolean flag
+     * @param {string} name - Flag name
+     * @returns {boolean} True if enabled
+     */
+    isEnabled(name) {
+        return Boolean(this.getFlag(name, false));
+    },
+
+    /**
+     * Get experiment state
+     * @returns {Object} Visitor id, assignments, exposures and overrides
+     */
+    getState() {
+        return {
+            visitorId: this.state.visitorId,
+            assignments: { ...this.state.assignments },
+            exposed: [...this.state.exposed],
+            flagOverrides: { ...this.state.flagOverrides },
+            variantOverrides: { ...this.state.variantOverrides }
+        };
+    }
+};
+
+// Make Experiments available globally
+window.Experiments = Experiments;
@@ -9,11 +9,11 @@ const Helpers = {
      * @param {Function} func - Function to debounce
      * @param {number} wait - Wait time in milliseconds
      * @param {boolean} immediate - Execute on leading edge
-     * @returns {Function} Debounced function
+     * @returns {Function} Debounced function (call .cancel() to drop a pending call)
      */
     debounce(func, wait, immediate = false) {
         let timeout;
-        return function executedFunction(...args) {
+        const executedFunction = function(...args) {
             const later = () => {
                 timeout = null;
                 if (!immediate) func.apply(this, args);
@@ -23,23 +23,51 @@ const Helpers = {
             timeout = setTimeout(later, wait);
             if (callNow) func.apply(this, args);
         };
+        executedFunction.cancel = () => {
+            clearTimeout(timeout);
+            timeout = null;
+        };
+        return executedFunction;
     },
 
     /**
      * Throttle function to limit function execution to once per specified time
      * @param {Function} func - Function to throttle
      * @param {number} limit - Time limit in milliseconds
-     * @returns {Function} Throttled function
+     * @param {Object} options - { trailing: true } also runs the last call made during the wait
+     * @returns {Function} Throttled function (call .cancel() to clear the pending reset and call)
      */
-    throttle(func, limit) {
+    throttle(func, limit, { trailing = false } = {}) {
         let inThrottle;
-        return function(...args) {
+        let timeout;
+        let pending = null;
+
+        const release = () => {
+            if (pending) {
+                const { context, args } = pending;
+                pending = null;
+                func.apply(context, args);
+                timeout = setTimeout(release, limit);
+            } else {
+                inThrottle = false;
+            }
+        };
+
+        const throttled = function(...args) {
             if (!inThrottle) {
                 func.apply(this, args);
                 inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
+                timeout = setTimeout(release, limit);
+            } else if (trailing) {
+                pending = { context: this, args };
             }
         };
+        throttled.cancel = () => {
+            clearTimeout(timeout);
+            pending = null;
+            inThrottle = false;
+        };
+        return throttled;
     },
 
     /**
@@ -75,6 +103,22 @@ const Helpers = {
         }
     },
 
+    /**
+     * Find elements matching a selector in a subtree, including its root
+     * @param {Element|Document} root - Subtree root
+     * @param {string} selector - CSS selector
+     * @returns {Element[]} Matching elements
+     */
+    queryWithin(root, selector) {
+        const matches = Array.from(root.querySelectorAll(selector));
+
+        if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+            matches.unshift(root);
+        }
+
+        return matches;
+    },
+
     /**
      * Wait for element to be available in DOM
      * @param {string} selector - CSS selector
@@ -109,37 +153,449 @@ const Helpers = {
         });
     },
 
+    /**
+     * Wait for a number of milliseconds
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>} Promise that resolves after the delay
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    /**
+     * Reject if a promise does not settle in time
+     * @param {Promise|*} promise - Promise (or value) to wait for
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {string} message - Error message on timeout
+     * @returns {Promise<*>} Promise that settles with the original result
+     */
+    withTimeout(promise, timeout, message = `Timed out after ${timeout}ms`) {
+        let timer;
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), timeout);
+        });
+
+        return Promise.race([Promise.resolve(promise), timeoutPromise])
+            .finally(() => clearTimeout(timer));
+    },
+
+    /**
+     * Add an event listener that is removed through an AbortController
+     * @param {EventTarget} target - Event target
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object|boolean} options - addEventListener options; aborting options.signal removes it too
+     * @returns {Function} Removes the listener
+     */
+    listen(target, type, handler, options = {}) {
+        const { signal, ...listenerOptions } = typeof options === 'boolean' ? { capture: options } : options;
+        const controller = new AbortController();
+
+        if (signal) {
+            if (signal.aborted) return () => {};
+            // Unlinked again when this listener is removed on its own
+            signal.addEventListener('abort', () => controller.abort(), { once: true, signal: controller.signal });
+        }
+
+        target.addEventListener(type, handler, { ...listenerOptions, signal: controller.signal });
+        return () => controller.abort();
+    },
+
+    // Scopes that have not been disposed, and resources registered on disposed ones
+    scopes: new Set(),
+    leaks: [],
+
+    /**
+     * Create a disposable scope that owns listeners, timers, observers and other cleanups
+     *
+     * Modules create a scope in init() and dispose it in destroy(), which removes everything
+     * registered through it. Debounced or throttled handlers passed to listen() are cancelled too.
+     * Resources tied to one element go in forElement(element), so release() can drop them when
+     * the element is removed from the page.
+     *
+     * @param {string} name - Owner name, used in leak reports
+     * @returns {Object} Scope with listen, setTimeout, setInterval, clearTimer, observe, add,
+     *     forElement, hasElement, release and dispose
+     */
+    createScope(name) {
+        const controller = new AbortController();
+        const listeners = new Set();
+        const timers = new Map();
+        const observers = new Set();
+        const cleanups = new Set();
+        const elementScopes = new Map();
+
+        // Anything registered after dispose() would never be cleaned up
+        const isDisposed = (resource) => {
+            if (!controller.signal.aborted) return false;
+            this.leaks.push({ scope: name, resource, timestamp: Date.now() });
+            console.warn(`Scope "${name}" used after dispose (${resource})`);
+            return true;
+        };
+
+        const scope = {
+            name,
+            signal: controller.signal,
+
+            listen: (target, type, handler, options = {}) => {
+                if (isDisposed(`${type} listener`)) return () => {};
+
+                const normalized = typeof options === 'boolean' ? { capture: options } : options;
+                const remove = this.listen(target, type, handler, { ...normalized, signal: controller.signal });
+                const record = () => {
+                    remove();
+                    listeners.delete(record);
+                    if (typeof handler.cancel === 'function') handler.cancel();
+                };
+
+                listeners.add(record);
+                return record;
+            },
+
+            setTimeout: (callback, delay) => {
+                if (isDisposed('timeout')) return null;
+
+                const id = setTimeout(() => {
+                    timers.delete(id);
+                    callback();
+                }, delay);
+                timers.set(id, clearTimeout);
+                return id;
+            },
+
+            setInterval: (callback, delay) => {
+                if (isDisposed('interval')) return null;
+
+                const id = setInterval(callback, delay);
+                timers.set(id, clearInterval);
+                return id;
+            },
+
+            clearTimer: (id) => {
+                if (!timers.has(id)) return;
+                timers.get(id)(id);
+                timers.delete(id);
+            },
+
+            observe: (observer) => {
+                if (isDisposed('observer')) {
+                    observer.disconnect();
+                    return observer;
+                }
+
+                observers.add(observer);
+                return observer;
+            },
+
+            add: (cleanup) => {
+                if (isDisposed('cleanup')) {
+                    cleanup();
+                    return cleanup;
+                }
+
+                cleanups.add(cleanup);
+                return cleanup;
+            },
+
+            forElement: (element) => {
+                if (elementScopes.has(element)) {
+                    return elementScopes.get(element);
+                }
+
+                const child = this.createScope(name);
+                if (isDisposed('element scope')) {
+                    child.dispose();
+                    return child;
+                }
+
+                elementScopes.set(element, child);
+                return child;
+            },
+
+            hasElement: (element) => elementScopes.has(element),
+
+            release: (root = null) => {
+                elementScopes.forEach((child, element) => {
+                    // Without a root, release elements that are no longer in the document
+                    const isRemoved = root
+                        ? root === element || (typeof root.contains === 'function' && root.contains(element))
+                        : !element.isConnected;
+
+                    if (isRemoved) {
+                        child.dispose();
+                        elementScopes.delete(element);
+                    }
+                });
+            },
+
+            dispose: () => {
+                if (controller.signal.aborted) return;
+
+                elementScopes.forEach(child => child.dispose());
+                elementScopes.clear();
+
+                [...listeners].forEach(remove => remove());
+                controller.abort();
+
+                timers.forEach((clear, id) => clear(id));
+                timers.clear();
+
+                observers.forEach(observer => observer.disconnect());
+                observers.clear();
+
+                // Cleanups run in reverse so later setup is undone first
+                [...cleanups].reverse().forEach(cleanup => {
+                    try {
+                        cleanup();
+                    } catch (error) {
+                        console.error(`Cleanup in scope "${name}" failed:`, error);
+                    }
+                });
+                cleanups.clear();
+
+                this.scopes.delete(scope);
+            },
+
+            getState: () => ({
+                name,
+                disposed: controller.signal.aborted,
+                listeners: listeners.size,
+                timers: timers.size,
+                observers: observers.size,
+                cleanups: cleanups.size,
+                elements: elementScopes.size
+            })
+        };
+
+        this.scopes.add(scope);
+        return scope;
+    },
+
+    /**
+     * Report resources that outlived their owner (development check)
+     * @param {string[]} destroyed - Names of owners that have been destroyed
+     * @returns {Object[]} Live scopes of destroyed owners, plus registrations made after dispose
+     */
+    findLeaks(destroyed = []) {
+        const live = [...this.scopes]
+            .filter(scope => destroyed.includes(scope.name))
+            .map(scope => scope.getState());
+
+        return live.concat(this.leaks);
+    },
+
+    /**
+     * Shared animation frame loop
+     *
+     * Every per-frame callback in the app subscribes here instead of running its own
+     * requestAnimationFrame loop. The loop only runs while there are subscribers, stops
+     * while the page is hidden or paused, and skips low-priority work once the frame budget
+     * is spent (a skipped callback always runs on the next frame).
+     */
+    ticker: {
+        // Configuration
+        config: {
+            frameBudget: 10 // ms of callback work per frame before non-essential callbacks wait
+        },
+
+        // State
+        state: {
+            subscribers: [],
+            pausedBy: new Set(),
+            frame: null,
+            lastTime: null,
+            skippedFrames: 0,
+            scope: null // owns the visibility listener while there are subscribers
+        },
+
+        /**
+         * Subscribe to animation frames
+         * @param {Function} callback - Called with (time, delta); return false to unsubscribe
+         * @param {Object} options - Subscription options
+         * @param {number} [options.priority=0] - Higher priorities run first
+         * @param {boolean} [options.essential=false] - Run even when the frame budget is spent
+         * @returns {Function} Unsubscribe function
+         */
+        add(callback, { priority = 0, essential = false } = {}) {
+            const subscriber = { callback, priority, essential, skipped: false };
+
+            this.state.subscribers.push(subscriber);
+            this.state.subscribers.sort((a, b) => b.priority - a.priority);
+
+            this.listenForVisibility();
+            this.start();
+
+            return () => this.remove(subscriber);
+        },
+
+        /**
+         * Remove a subscriber record
+         * @param {Object} subscriber - Subscriber record
+         */
+        remove(subscriber) {
+            this.state.subscribers = this.state.subscribers.filter(item => item !== subscriber);
+            if (!this.state.subscribers.length) {
+                this.stop();
+                this.stopListeningForVisibility();
+            }
+        },
+
+        /**
+         * Pause every subscriber
+         * @param {string} reason - Pauses with different reasons are resumed separately
+         */
+        pause(reason = 'manual') {
+            this.state.pausedBy.add(reason);
+            this.stop();
+        },
+
+        /**
+         * Resume after pause()
+         * @param {string} reason - Reason given to pause()
+         */
+        resume(reason = 'manual') {
+            this.state.pausedBy.delete(reason);
+            this.start();
+        },
+
+        /**
+         * Pause automatically while the page is hidden
+         */
+        listenForVisibility() {
+            if (this.state.scope) return;
+
+            this.state.scope = Helpers.createScope('ticker');
+            this.state.scope.listen(document, 'visibilitychange', () => {
+                if (document.hidden) {
+                    this.pause('hidden');
+                } else {
+                    this.resume('hidden');
+                }
+            });
+
+            if (document.hidden) {
+                this.state.pausedBy.add('hidden');
+            }
+        },
+
+        /**
+         * Stop watching visibility once the last subscriber has left
+         */
+        stopListeningForVisibility() {
+            if (!this.state.scope) return;
+
+            this.state.scope.dispose();
+            this.state.scope = null;
+            this.state.pausedBy.delete('hidden');
+        },
+
+        /**
+         * Request the next frame if there is work to do
+         */
+        start() {
+            if (this.state.frame !== null || this.state.pausedBy.size || !this.state.subscribers.length) return;
+
+            this.state.frame = requestAnimationFrame(time => this.tick(time));
+        },
+
+        /**
+         * Cancel the pending frame
+         */
+        stop() {
+            if (this.state.frame !== null) {
+                cancelAnimationFrame(this.state.frame);
+                this.state.frame = null;
+            }
+            // Time spent paused is not a frame delta
+            this.state.lastTime = null;
+        },
+
+        /**
+         * Run one frame
+         * @param {number} time - Frame timestamp
+         */
+        tick(time) {
+            this.state.frame = null;
+
+            const delta = this.state.lastTime === null ? 0 : time - this.state.lastTime;
+            this.state.lastTime = time;
+
+            const frameStart = performance.now();
+            let skipped = false;
+
+            // Copy so callbacks can unsubscribe while we iterate
+            [...this.state.subscribers].forEach(subscriber => {
+                const overBudget = performance.now() - frameStart > this.config.frameBudget;
+
+                if (overBudget && !subscriber.essential && !subscriber.skipped) {
+                    subscriber.skipped = true;
+                    skipped = true;
+                    return;
+                }
+
+                subscriber.skipped = false;
+
+                try {
+                    if (subscriber.callback(time, delta) === false) {
+                        this.remove(subscriber);
+                    }
+                } catch (error) {
+                    console.error('Ticker callback failed:', error);
+                    this.remove(subscriber);
+                }
+            });
+
+            if (skipped) {
+                this.state.skippedFrames++;
+            }
+
+            this.start();
+        },
+
+        /**
+         * Get ticker state
+         * @returns {Object} Subscriber count, pause reasons and skipped frames
+         */
+        getState() {
+            return {
+                subscribers: this.state.subscribers.length,
+                isRunning: this.state.frame !== null,
+                pausedBy: [...this.state.pausedBy],
+                skippedFrames: this.state.skippedFrames
+            };
+        }
+    },
+
     /**
      * Smooth scroll to element
      * @param {Element|string} target - Target element or selector
      * @param {number} offset - Offset from top
      * @param {number} duration - Animation duration
+     * @returns {Function} Cancels the scroll
      */
     smoothScrollTo(target, offset = 0, duration = 800) {
         const element = typeof target === 'string' ? document.querySelector(target) : target;
-        if (!element) return;
+        if (!element) return () => {};
 
         const startPosition = window.pageYOffset;
         const targetPosition = element.offsetTop - offset;
         const distance = targetPosition - startPosition;
         let startTime = null;
 
-        function animation(currentTime) {
-            if (startTime === null) startTime = currentTime;
-            const timeElapsed = currentTime - startTime;
-            const run = this.easeInOutQuad(timeElapsed, startPosition, distance, duration);
-            window.scrollTo(0, run);
-            if (timeElapsed < duration) requestAnimationFrame(animation);
-        }
-
-        function easeInOutQuad(t, b, c, d) {
+        const easeInOutQuad = (t, b, c, d) => {
             t /= d / 2;
             if (t < 1) return c / 2 * t * t + b;
             t--;
             return -c / 2 * (t * (t - 2) - 1) + b;
-        }
+        };
 
-        requestAnimationFrame(animation);
+        // The user is waiting on the scroll, so it never yields to the frame budget
+        return this.ticker.add(currentTime => {
+            if (startTime === null) startTime = currentTime;
+            const timeElapsed = Math.min(currentTime - startTime, duration);
+            window.scrollTo(0, easeInOutQuad(timeElapsed, startPosition, distance, duration));
+            return timeElapsed < duration;
+        }, { priority: 100, essential: true });
     },
 
     /**
@@ -163,6 +619,19 @@ const Helpers = {
         );
     },
 
+    /**
+     * Get the elements inside a container that can take keyboard focus, in tab order
+     * @param {Element} container - Container to search
+     * @returns {Element[]} Focusable elements that are not disabled or hidden
+     */
+    getFocusableElements(container) {
+        const selector = 'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+        return Array.from(container.querySelectorAll(selector)).filter(element => {
+            return !element.disabled && !element.closest('[hidden], [inert]');
+        });
+    },
+
     /**
      * Get CSS custom property value
      * @param {string} property - CSS custom property name
@@ -198,6 +667,44 @@ const Helpers = {
         target.dispatchEvent(event);
     },
 
+    /**
+     * Check for a plain object (not an array, element or class instance)
+     * @param {*} value - Value to check
+     * @returns {boolean} True if plain object
+     */
+    isPlainObject(value) {
+        if (value === null || typeof value !== 'object') return false;
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
+    },
+
+    /**
+     * Recursively merge plain objects into a target (arrays and other values are replaced)
+     * @param {Object} target - Object to merge into (mutated)
+     * @param {...Object} sources - Objects to merge from
+     * @returns {Object} The target
+     */
+    deepMerge(target, ...sources) {
+        sources.forEach(source => {
+            if (!this.isPlainObject(source)) return;
+
+            Object.keys(source).forEach(key => {
+                const value = source[key];
+
+                if (this.isPlainObject(value)) {
+                    if (!this.isPlainObject(target[key])) {
+                        target[key] = {};
+                    }
+                    this.deepMerge(target[key], value);
+                } else {
+                    target[key] = value;
+                }
+            });
+        });
+
+        return target;
+    },
+
     /**
      * Format number with commas
      * @param {number} num - Number to format
@@ -214,6 +721,19 @@ const Helpers = {
      */
     generateId(prefix = 'id') {
         return `${prefix}-${Math.random().toString(36).substr(2, 9)}-${Date.now()}`;
+    },
+
+    /**
+     * Hash a string (djb2), stable across page loads
+     * @param {string} value - String to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    hashString(value) {
+        let hash = 5381;
+        for (let i = 0; i < value.length; i++) {
+            hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+        }
+        return hash >>> 0;
     }
 };
 
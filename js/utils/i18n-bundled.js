@@ -0,0 +1,119 @@
+// Generated by scripts/generate-locale-bundle.js from locales/en.json, do not edit
+I18n.BUNDLED["en"] = {
+    "page": {
+        "title": "DO Media - Digital Solutions"
+    },
+    "nav": {
+        "toggle": "Toggle menu",
+        "home": "Home",
+        "about": "About Us",
+        "services": "Services",
+        "testimonials": "Testimonials",
+        "contact": "Contact Us",
+        "solutions": "Solutions",
+        "newTab": "(opens in a new tab)",
+        "menu": {
+            "allServices": "All services",
+            "webDesign": "Web Design",
+            "development": "Development",
+            "marketing": "Digital Marketing",
+            "build": "Build",
+            "grow": "Grow",
+            "websites": {
+                "label": "Websites",
+                "description": "Fast, accessible sites that work on every screen"
+            },
+            "webApps": {
+                "label": "Web apps",
+                "description": "Custom tools and portals built around how you work"
+            },
+            "campaigns": {
+                "label": "Campaigns",
+                "description": "Search, social and email campaigns that reach the right people"
+            },
+            "insights": {
+                "label": "Insights",
+                "description": "Reports that show what works and what to do next"
+            }
+        }
+    },
+    "logo": {
+        "alt": "DO Media"
+    },
+    "hero": {
+        "title": "Don't look anywhere,\nThis is the best place on web",
+        "intro": "Living in today's metropolitan world of cellular phones, mobile computers and other high-tech gadgets is not just hectic but very demanding on our time and attention. We provide innovative digital solutions that simplify your digital experience.",
+        "cta": "Get Started",
+        "ctaLabel": "{label} - Begin your digital transformation journey",
+        "ctaDescription": "Click to start exploring our digital solutions and services"
+    },
+    "services": {
+        "title": "Services",
+        "webDesign": {
+            "title": "Web Design",
+            "description": "Fast, accessible sites that work on every screen and make your brand easy to trust."
+        },
+        "development": {
+            "title": "Development",
+            "description": "Custom web apps, tools and portals built around how your team works."
+        },
+        "marketing": {
+            "title": "Digital Marketing",
+            "description": "Search, social and email campaigns that reach the right people, with reports that show what works."
+        }
+    },
+    "laptop": {
+        "alt": "Laptop Mockup",
+        "interactiveAlt": "Interactive laptop mockup showcasing DO Media digital solutions - Click to explore",
+        "label": "DO Media laptop showcase - Interactive preview of our digital platform",
+        "screenTitle": "DO Media",
+        "screenSubtitle": "Digital Solutions",
+        "closePreview": "Close preview"
+    },
+    "errors": {
+        "title": "Oops! Something went wrong",
+        "message": "We're working to fix this issue. Please refresh the page or try again later.",
+        "refresh": "Refresh Page"
+    },
+    "update": {
+        "title": "Update available",
+        "message": "A new version of the site is ready.",
+        "refresh": "Refresh"
+    },
+    "notifications": {
+        "region": "Notifications",
+        "dismiss": "Dismiss notification",
+        "repeated": {
+            "one": "Shown once",
+            "other": "Shown {count} times"
+        }
+    },
+    "consent": {
+        "settings": "Privacy settings",
+        "banner": {
+            "label": "Privacy choices",
+            "message": "We use storage to remember your settings and, with your permission, to understand how the site is used.",
+            "acceptAll": "Accept all",
+            "rejectAll": "Reject optional",
+            "customize": "Customize"
+        },
+        "dialog": {
+            "title": "Privacy preferences",
+            "save": "Save choices"
+        },
+        "categories": {
+            "necessary": {
+                "title": "Necessary",
+                "description": "Remembers your privacy choices. Always on."
+            },
+            "functional": {
+                "title": "Functional",
+                "description": "Remembers settings such as your theme and gives vibration feedback on touch devices."
+            },
+            "analytics": {
+                "title": "Analytics",
+                "description": "Measures visits and errors so we can improve the site."
+            }
+        }
+    }
+};
@@ -0,0 +1,311 @@
+/**
+ * I18n
+ * Locale bundles, translated strings with plurals and interpolation, and document direction
+ *
+ * Bundles live in locales/<locale>.json as nested objects. Plural messages are objects keyed by
+ * Intl.PluralRules category and take a "count" param:
+ *
+ *     "repeated": { "one": "Shown once", "other": "Shown {count} times" }
+ *
+ * Markup is translated with data-i18n="key" for text ("\n" becomes <br>) and
+ * data-i18n-attr="alt:key;aria-label:key" for attributes.
+ *
+ * The locale comes from ?lang=ar, then navigator.languages, then the default locale.
+ *
+ * The English strings also ship inline (I18n.BUNDLED), so text stays readable when bundles
+ * fail to load. They are generated from locales/en.json by scripts/generate-locale-bundle.js.
+ */
+
+const I18n = {
+    // Configuration
+    config: {
+        defaultLocale: 'en',
+        locales: ['en', 'ar'],
+        rtlLocales: ['ar', 'fa', 'he', 'ur'],
+        path: 'locales/{locale}.json',
+        queryParam: 'lang'
+    },
+
+    // State
+    state: {
+        locale: null,
+        bundles: {},
+        pluralRules: new Map(),
+        missing: new Set(),
+        isInitialized: false
+    },
+
+    // Inline strings by locale, the fallback for bundles that failed to load (see i18n-bundled.js)
+    BUNDLED: {},
+
+    /**
+     * Detect the locale and load its bundle
+     * @param {Object} options - Config overrides
+     * @returns {Promise<string>} Active locale
+     */
+    async init(options = {}) {
+        if (this.state.isInitialized) return this.state.locale;
+
+        Helpers.deepMerge(this.config, options);
+        this.state.isInitialized = true;
+
+        return this.setLocale(this.detectLocale());
+    },
+
+    /**
+     * Pick a supported locale from the URL or the browser languages
+     * @returns {string} Locale
+     */
+    detectLocale() {
+        const requested = new URLSearchParams(window.location.search).get(this.config.queryParam);
+        const candidates = [requested, ...(navigator.languages || [navigator.language])].filter(Boolean);
+
+        for (const candidate of candidates) {
+            const locale = this.matchLocale(candidate);
+            if (locale) return locale;
+        }
+
+        return this.config.defaultLocale;
+    },
+
+    /**
+     * Match a language tag against supported locales, exactly or by base language
+     * @param {string} tag - Language tag such as "ar-EG"
+     * @returns {string|null} Supported locale
+     */
+    matchLocale(tag) {
+        const normalized = String(tag).toLowerCase();
+        const base = normalized.split('-')[0];
+
+        return this.config.locales.find(locale => locale.toLowerCase() === normalized) ||
+            this.config.locales.find(locale => locale.toLowerCase() === base) ||
+            null;
+    },
+
+    /**
+     * Fetch a locale bundle once
+     * @param {string} locale - Locale
+     * @returns {Promise<Object>} Bundle
+     */
+    async loadBundle(locale) {
+        if (this.state.bundles[locale]) return this.state.bundles[locale];
+
+        const response = await fetch(this.config.path.replace('{locale}', locale));
+        if (!response.ok) {
+            throw new Error(`Locale "${locale}" failed to load (${response.status})`);
+        }
+
+        this.state.bundles[locale] = await response.json();
+        return this.state.bundles[locale];
+    },
+
+    /**
+     * Switch locale, translate the page and update lang and dir
+     * @param {string} locale - Requested locale
+     * @returns {Promise<string>} Active locale (the default if the bundle failed to load)
+     */
+    async setLocale(locale) {
+        const requested = this.matchLocale(locale) || this.config.defaultLocale;
+
+        // The default bundle backs up keys missing from the others
+        const locales = [...new Set([this.config.defaultLocale, requested])];
+        const results = await Promise.allSettled(locales.map(name => this.loadBundle(name)));
+        results.forEach(result => {
+            if (result.status === 'rejected') {
+                console.warn(`I18n: ${result.reason.message}`);
+            }
+        });
+
+        const previous = this.state.locale;
+        this.state.locale = this.state.bundles[requested] ? requested : this.config.defaultLocale;
+
+        document.documentElement.lang = this.state.locale;
+        document.documentElement.dir = this.getDirection();
+        this.translate(document);
+
+        if (previous !== this.state.locale) {
+            EventBus.emit('i18n:localechange', {
+                locale: this.state.locale,
+                previous,
+                direction: this.getDirection()
+            });
+        }
+
+        return this.state.locale;
+    },
+
+    /**
+     * Get the active locale
+     * @returns {string} Locale
+     */
+    getLocale() {
+        return this.state.locale || this.config.defaultLocale;
+    },
+
+    /**
+     * Get the text direction of a locale
+     * @param {string} locale - Locale, defaults to the active one
+     * @returns {string} "rtl" or "ltr"
+     */
+    getDirection(locale = this.getLocale()) {
+        return this.config.rtlLocales.includes(locale.split('-')[0]) ? 'rtl' : 'ltr';
+    },
+
+    /**
+     * Check whether the active locale reads right to left
+     * @returns {boolean} True for RTL locales
+     */
+    isRTL() {
+        return this.getDirection() === 'rtl';
+    },
+
+    /**
+     * Find a message in a loaded bundle by dotted key, then in the bundled strings
+     * @param {string} locale - Locale
+     * @param {string} key - Dotted key
+     * @returns {*} Message, or undefined
+     */
+    lookup(locale, key) {
+        const find = bundle => key.split('.').reduce((node, segment) => {
+            return Helpers.isPlainObject(node) ? node[segment] : undefined;
+        }, bundle);
+
+        const message = find(this.state.bundles[locale]);
+        return message !== undefined ? message : find(this.BUNDLED[locale]);
+    },
+
+    /**
+     * Check whether a key has a translation in the active or default locale
+     * @param {string} key - Dotted key
+     * @returns {boolean} True if translated
+     */
+    has(key) {
+        return this.lookup(this.getLocale(), key) !== undefined ||
+            this.lookup(this.config.defaultLocale, key) !== undefined;
+    },
+
+    /**
+     * Translate a key
+     * @param {string} key - Dotted key
+     * @param {Object} params - Values for {placeholders}; "count" selects the plural form
+     * @returns {string} Translated text, or the key if it has no translation
+     */
+    t(key, params = {}) {
+        const locale = [this.getLocale(), this.config.defaultLocale].find(name => {
+            return this.lookup(name, key) !== undefined;
+        });
+        let message = locale ? this.lookup(locale, key) : undefined;
+
+        if (Helpers.isPlainObject(message)) {
+            const category = this.getPluralRules(locale).select(Number(params.count));
+            message = category in message ? message[category] : message.other;
+        }
+
+        if (typeof message !== 'string') {
+            this.reportMissing(key);
+            return key;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    },
+
+    /**
+     * Format a number for the active locale
+     * @param {number} value - Number
+     * @returns {string} Formatted number
+     */
+    formatNumber(value) {
+        return new Intl.NumberFormat(this.getLocale()).format(value);
+    },
+
+    /**
+     * Get cached plural rules for a locale
+     * @param {string} locale - Locale
+     * @returns {Intl.PluralRules} Plural rules
+     */
+    getPluralRules(locale) {
+        if (!this.state.pluralRules.has(locale)) {
+            this.state.pluralRules.set(locale, new Intl.PluralRules(locale));
+        }
+        return this.state.pluralRules.get(locale);
+    },
+
+    /**
+     * Warn once per missing key
+     * @param {string} key - Dotted key
+     */
+    reportMissing(key) {
+        if (this.state.missing.has(key)) return;
+
+        this.state.missing.add(key);
+        console.warn(`I18n: no "${this.getLocale()}" translation for "${key}"`);
+    },
+
+    /**
+     * Translate data-i18n and data-i18n-attr markup (untranslated keys keep their markup text)
+     * @param {Element|Document} root - Subtree to translate
+     */
+    translate(root = document) {
+        Helpers.queryWithin(root, '[data-i18n]').forEach(element => {
+            const key = element.getAttribute('data-i18n');
+            if (this.has(key)) {
+                this.setText(element, this.t(key));
+            }
+        });
+
+        Helpers.queryWithin(root, '[data-i18n-attr]').forEach(element => {
+            element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key && this.has(key)) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    },
+
+    /**
+     * Replace an element's text, keeping child elements such as icons
+     * @param {Element} element - Element to update
+     * @param {string} text - Translated text
+     */
+    setText(element, text) {
+        const hasChildElements = Array.from(element.children).some(child => child.tagName !== 'BR');
+
+        if (hasChildElements) {
+            const textNode = Array.from(element.childNodes).find(node => {
+                return node.nodeType === Node.TEXT_NODE && node.textContent.trim();
+            });
+            if (textNode) {
+                textNode.textContent = ` ${text} `;
+            }
+            return;
+        }
+
+        element.textContent = '';
+        text.split('\n').forEach((line, index) => {
+            if (index) element.appendChild(document.createElement('br'));
+            element.appendChild(document.createTextNode(line));
+        });
+    },
+
+    /**
+     * Get i18n state
+     * @returns {Object} Locale, direction, loaded bundles and missing keys
+     */
+    getState() {
+        return {
+            locale: this.getLocale(),
+            direction: this.getDirection(),
+            loaded: Object.keys(this.state.bundles),
+            missing: [...this.state.missing]
+        };
+    }
+};
+
+// Make I18n available globally
+window.I18n = I18n;
@@ -0,0 +1,206 @@
+/**
+ * Module Registry
+ * Keeps track of application modules, their dependencies and lifecycle state
+ */
+
+const ModuleRegistry = {
+    // Lifecycle states
+    STATES: {
+        PENDING: 'pending',
+        READY: 'ready',
+        FAILED: 'failed',
+        DESTROYED: 'destroyed'
+    },
+
+    // Registered module definitions keyed by name
+    definitions: new Map(),
+
+    // Lifecycle state per module
+    states: new Map(),
+
+    // Last error per module
+    errors: new Map(),
+
+    /**
+     * Register a module
+     * @param {Object} definition - Module definition
+     * @param {string} definition.name - Unique module name
+     * @param {string[]} [definition.dependencies] - Names of modules that must be ready first
+     * @param {Object} [definition.instance] - Module object exposed as app.modules[name]
+     * @param {Object} [definition.options] - Options passed to the init hook
+     * @param {Object} [definition.configSchema] - Schema for site config overrides (see SiteConfig.validate)
+     * @param {Function} [definition.init] - Init hook, defaults to instance.init
+     * @param {Function} [definition.destroy] - Destroy hook, defaults to instance.destroy
+     * @param {Function} [definition.refresh] - Enhances content added under a root, defaults to instance.refresh
+     * @param {Function} [definition.release] - Cleans up content removed under a root, defaults to instance.release
+     * @param {boolean} [definition.critical=true] - Whether a failure should stop the app
+     * @param {number} [definition.timeout] - Init timeout in ms, defaults to the app's loadTimeout
+     * @param {number} [definition.retryAttempts] - Init attempts, defaults to the app's retryAttempts
+     * @returns {Object} Normalized definition
+     */
+    register(definition) {
+        if (!definition || typeof definition.name !== 'string' || !definition.name) {
+            throw new Error('Module definition requires a name');
+        }
+
+        const { name, instance = null } = definition;
+
+        if (this.definitions.has(name)) {
+            throw new Error(`Module "${name}" is already registered`);
+        }
+
+        const init = definition.init || (instance && typeof instance.init === 'function'
+            ? instance.init.bind(instance)
+            : null);
+        const destroy = definition.destroy || (instance && typeof instance.destroy === 'function'
+            ? instance.destroy.bind(instance)
+            : null);
+        const refresh = definition.refresh || (instance && typeof instance.refresh === 'function'
+            ? instance.refresh.bind(instance)
+            : null);
+        const release = definition.release || (instance && typeof instance.release === 'function'
+            ? instance.release.bind(instance)
+            : null);
+
+        if (typeof init !== 'function') {
+            throw new Error(`Module "${name}" has no init hook`);
+        }
+
+        const normalized = {
+            ...definition,
+            dependencies: [...(definition.dependencies || [])],
+            instance,
+            options: definition.options || {},
+            critical: definition.critical !== false,
+            init,
+            destroy,
+            refresh,
+            release
+        };
+
+        this.definitions.set(name, normalized);
+        this.setState(name, this.STATES.PENDING);
+
+        return normalized;
+    },
+
+    /**
+     * Remove a module that has not started
+     * @param {string} name - Module name
+     * @returns {boolean} True if it was registered
+     */
+    unregister(name) {
+        this.states.delete(name);
+        this.errors.delete(name);
+        return this.definitions.delete(name);
+    },
+
+    /**
+     * Check whether a module is registered
+     * @param {string} name - Module name
+     * @returns {boolean} True if registered
+     */
+    has(name) {
+        return this.definitions.has(name);
+    },
+
+    /**
+     * Get a module definition
+     * @param {string} name - Module name
+     * @returns {Object|null} Module definition
+     */
+    get(name) {
+        return this.definitions.get(name) || null;
+    },
+
+    /**
+     * Resolve initialization order from the dependency graph
+     * @returns {string[]} Module names, dependencies first
+     */
+    resolveOrder() {
+        const order = [];
+        const visited = new Set();
+        const visiting = [];
+
+        const visit = (name, requiredBy) => {
+            if (visited.has(name)) return;
+
+            const definition = this.definitions.get(name);
+            if (!definition) {
+                throw new Error(`Module "${requiredBy}" depends on unknown module "${name}"`);
+            }
+
+            const cycleStart = visiting.indexOf(name);
+            if (cycleStart !== -1) {
+                const cycle = [...visiting.slice(cycleStart), name].join(' -> ');
+                throw new Error(`Circular module dependency: ${cycle}`);
+            }
+
+            visiting.push(name);
+            definition.dependencies.forEach(dependency => visit(dependency, name));
+            visiting.pop();
+
+            visited.add(name);
+            order.push(name);
+        };
+
+        // Registration order breaks ties between independent modules
+        this.definitions.forEach((definition, name) => visit(name, null));
+
+        return order;
+    },
+
+    /**
+     * Update a module's lifecycle state
+     * @param {string} name - Module name
+     * @param {string} state - New state
+     * @param {Error} error - Failure reason (failed state only)
+     */
+    setState(name, state, error = null) {
+        const previous = this.states.get(name) || null;
+        this.states.set(name, state);
+
+        if (error) {
+            this.errors.set(name, error);
+        } else {
+            this.errors.delete(name);
+        }
+
+        if (previous !== state) {
+            EventBus.emit('module:statechange', { name, previous, state, error });
+        }
+    },
+
+    /**
+     * Get a module's lifecycle state
+     * @param {string} name - Module name
+     * @returns {string|null} Lifecycle state
+     */
+    getState(name) {
+        return this.states.get(name) || null;
+    },
+
+    /**
+     * Get the lifecycle state of every module
+     * @returns {Object} Map of module name to state
+     */
+    getStates() {
+        const states = {};
+        this.states.forEach((state, name) => {
+            states[name] = state;
+        });
+        return states;
+    },
+
+    /**
+     * Get the last error recorded for a module
+     * @param {string} name - Module name
+     * @returns {Error|null} Error
+     */
+    getError(name) {
+        return this.errors.get(name) || null;
+    }
+};
+
+// Make ModuleRegistry available globally
+window.ModuleRegistry = ModuleRegistry;
@@ -0,0 +1,368 @@
+/**
+ * Notifications
+ * Accessible toast notifications with severity levels, queueing and de-duplication
+ */
+
+const Notifications = {
+    // Configuration
+    config: {
+        maxVisible: 3,
+        // Auto-dismiss delay per severity in ms (0 keeps the toast until dismissed)
+        durations: {
+            info: 5000,
+            success: 5000,
+            warning: 8000,
+            error: 10000
+        },
+        // Overrides for the translated labels (see I18n, "notifications" keys)
+        labels: {
+            region: null,
+            dismiss: null
+        }
+    },
+
+    // Supported severity levels
+    SEVERITIES: ['info', 'success', 'warning', 'error'],
+
+    // State
+    state: {
+        container: null,
+        politeRegion: null,
+        assertiveRegion: null,
+        visible: [],
+        queue: []
+    },
+
+    /**
+     * Show a notification
+     * @param {Object} options - Notification options
+     * @param {string} options.message - Body text
+     * @param {string} [options.title] - Heading text
+     * @param {string} [options.severity='info'] - One of info, success, warning, error
+     * @param {number} [options.duration] - Auto-dismiss delay, 0 to keep it open
+     * @param {Array<{label: string, onClick: Function, dismiss: boolean}>} [options.actions] - Action buttons
+     * @param {string} [options.key] - De-duplication key, defaults to severity + title + message
+     * @param {boolean} [options.focus=false] - Move focus to the toast (restored on dismiss)
+     * @returns {string} Notification id
+     */
+    show(options = {}) {
+        const severity = this.SEVERITIES.includes(options.severity) ? options.severity : 'info';
+        const notification = {
+            id: Helpers.generateId('notification'),
+            title: options.title || '',
+            message: options.message || '',
+            severity,
+            duration: typeof options.duration === 'number' ? options.duration : this.config.durations[severity],
+            actions: options.actions || [],
+            focus: Boolean(options.focus),
+            count: 1,
+            element: null,
+            timer: null,
+            returnFocus: null
+        };
+        notification.key = options.key || `${severity}|${notification.title}|${notification.message}`;
+
+        // Repeats bump the counter on the existing toast instead of stacking
+        const duplicate = this.findByKey(notification.key);
+        if (duplicate) {
+            duplicate.count++;
+            this.updateCount(duplicate);
+            this.startTimer(duplicate);
+            return duplicate.id;
+        }
+
+        if (this.state.visible.length >= this.config.maxVisible) {
+            this.state.queue.push(notification);
+        } else {
+            this.render(notification);
+        }
+
+        return notification.id;
+    },
+
+    /**
+     * Shortcut for info notifications
+     * @param {string} message - Body text
+     * @param {Object} options - Additional options
+     * @returns {string} Notification id
+     */
+    info(message, options = {}) {
+        return this.show({ ...options, message, severity: 'info' });
+    },
+
+    /**
+     * Shortcut for success notifications
+     * @param {string} message - Body text
+     * @param {Object} options - Additional options
+     * @returns {string} Notification id
+     */
+    success(message, options = {}) {
+        return this.show({ ...options, message, severity: 'success' });
+    },
+
+    /**
+     * Shortcut for warning notifications
+     * @param {string} message - Body text
+     * @param {Object} options - Additional options
+     * @returns {string} Notification id
+     */
+    warning(message, options = {}) {
+        return this.show({ ...options, message, severity: 'warning' });
+    },
+
+    /**
+     * Shortcut for error notifications
+     * @param {string} message - Body text
+     * @param {Object} options - Additional options
+     * @returns {string} Notification id
+     */
+    error(message, options = {}) {
+        return this.show({ ...options, message, severity: 'error' });
+    },
+
+    /**
+     * Find a visible or queued notification by de-duplication key
+     * @param {string} key - De-duplication key
+     * @returns {Object|undefined} Notification
+     */
+    findByKey(key) {
+        return [...this.state.visible, ...this.state.queue].find(item => item.key === key);
+    },
+
+    /**
+     * Create the toast container and live regions on first use
+     */
+    ensureContainer() {
+        if (this.state.container && this.state.container.isConnected) return;
+
+        const container = document.createElement('section');
+        container.className = 'notification-container';
+        container.setAttribute('aria-label', this.config.labels.region || I18n.t('notifications.region'));
+
+        // Announcements go through dedicated live regions so toasts are read once
+        const politeRegion = document.createElement('div');
+        politeRegion.className = 'sr-only';
+        politeRegion.setAttribute('aria-live', 'polite');
+        politeRegion.setAttribute('aria-atomic', 'true');
+
+        const assertiveRegion = document.createElement('div');
+        assertiveRegion.className = 'sr-only';
+        assertiveRegion.setAttribute('aria-live', 'assertive');
+        assertiveRegion.setAttribute('aria-atomic', 'true');
+
+        document.body.appendChild(container);
+        document.body.appendChild(politeRegion);
+        document.body.appendChild(assertiveRegion);
+
+        this.state.container = container;
+        this.state.politeRegion = politeRegion;
+        this.state.assertiveRegion = assertiveRegion;
+    },
+
+    /**
+     * Render a notification
+     * @param {Object} notification - Notification to render
+     */
+    render(notification) {
+        this.ensureContainer();
+
+        const element = document.createElement('div');
+        element.className = `notification notification-${notification.severity}`;
+        element.id = notification.id;
+        element.tabIndex = -1;
+
+        const body = document.createElement('div');
+        body.className = 'notification-body';
+
+        if (notification.title) {
+            const title = document.createElement('p');
+            title.className = 'notification-title';
+            title.textContent = notification.title;
+            body.appendChild(title);
+        }
+
+        const message = document.createElement('p');
+        message.className = 'notification-message';
+        message.textContent = notification.message;
+        body.appendChild(message);
+
+        const count = document.createElement('span');
+        count.className = 'notification-count';
+        count.hidden = true;
+        body.appendChild(count);
+
+        if (notification.actions.length) {
+            const actions = document.createElement('div');
+            actions.className = 'notification-actions';
+
+            notification.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'notification-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    if (typeof action.onClick === 'function') {
+                        action.onClick(notification.id);
+                    }
+                    if (action.dismiss !== false) {
+                        this.dismiss(notification.id);
+                    }
+                });
+                actions.appendChild(button);
+            });
+
+            body.appendChild(actions);
+        }
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'notification-close';
+        closeButton.setAttribute('aria-label', this.config.labels.dismiss || I18n.t('notifications.dismiss'));
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.dismiss(notification.id));
+
+        element.appendChild(body);
+        element.appendChild(closeButton);
+
+        // Keyboard dismissal and pause-on-interaction
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.dismiss(notification.id);
+            }
+        });
+        element.addEventListener('mouseenter', () => this.stopTimer(notification));
+        element.addEventListener('mouseleave', () => this.startTimer(notification));
+        element.addEventListener('focusin', () => this.stopTimer(notification));
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                this.startTimer(notification);
+            }
+        });
+
+        notification.element = element;
+        this.state.visible.push(notification);
+        this.state.container.appendChild(element);
+
+        // Repeats that arrived while it waited in the queue
+        if (notification.count > 1) {
+            this.updateCount(notification);
+        }
+
+        this.announce(notification);
+
+        if (notification.focus) {
+            notification.returnFocus = document.activeElement;
+            element.focus();
+        }
+
+        this.startTimer(notification);
+    },
+
+    /**
+     * Announce a notification to assistive technology
+     * @param {Object} notification - Notification to announce
+     */
+    announce(notification) {
+        const urgent = notification.severity === 'error' || notification.severity === 'warning';
+        const region = urgent ? this.state.assertiveRegion : this.state.politeRegion;
+        const text = [notification.title, notification.message].filter(Boolean).join('. ');
+
+        // Clear first so repeated messages are announced again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = text;
+        }, 50);
+    },
+
+    /**
+     * Update the repeat counter on a toast
+     * @param {Object} notification - Notification
+     */
+    updateCount(notification) {
+        if (!notification.element) return;
+
+        const count = notification.element.querySelector('.notification-count');
+        count.textContent = `×${I18n.formatNumber(notification.count)}`;
+        count.setAttribute('aria-label', I18n.t('notifications.repeated', { count: notification.count }));
+        count.hidden = false;
+    },
+
+    /**
+     * Start (or restart) the auto-dismiss timer
+     * @param {Object} notification - Notification
+     */
+    startTimer(notification) {
+        this.stopTimer(notification);
+
+        if (!notification.element || notification.duration <= 0) return;
+
+        notification.timer = setTimeout(() => this.dismiss(notification.id), notification.duration);
+    },
+
+    /**
+     * Stop the auto-dismiss timer
+     * @param {Object} notification - Notification
+     */
+    stopTimer(notification) {
+        clearTimeout(notification.timer);
+        notification.timer = null;
+    },
+
+    /**
+     * Dismiss a notification
+     * @param {string} id - Notification id
+     */
+    dismiss(id) {
+        const queuedIndex = this.state.queue.findIndex(item => item.id === id);
+        if (queuedIndex !== -1) {
+            this.state.queue.splice(queuedIndex, 1);
+            return;
+        }
+
+        const index = this.state.visible.findIndex(item => item.id === id);
+        if (index === -1) return;
+
+        const [notification] = this.state.visible.splice(index, 1);
+        this.stopTimer(notification);
+
+        const hadFocus = notification.element.contains(document.activeElement);
+        notification.element.remove();
+
+        if (hadFocus) {
+            const returnFocus = notification.returnFocus;
+            if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+                returnFocus.focus();
+            }
+        }
+
+        // Promote the next queued notification
+        if (this.state.queue.length && this.state.visible.length < this.config.maxVisible) {
+            this.render(this.state.queue.shift());
+        }
+    },
+
+    /**
+     * Dismiss every notification, including queued ones
+     */
+    dismissAll() {
+        this.state.queue = [];
+        [...this.state.visible].forEach(notification => this.dismiss(notification.id));
+    },
+
+    /**
+     * Get notification state
+     * @returns {Object} Current state
+     */
+    getState() {
+        const summarize = ({ id, severity, title, message, count }) => ({ id, severity, title, message, count });
+
+        return {
+            visible: this.state.visible.map(summarize),
+            queued: this.state.queue.map(summarize)
+        };
+    }
+};
+
+// Make Notifications available globally
+window.Notifications = Notifications;
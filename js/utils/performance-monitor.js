@@ -0,0 +1,370 @@
+/**
+ * Performance Monitor
+ * Collects Core Web Vitals (LCP, CLS, INP, FCP, TTFB) with element and module attribution
+ */
+
+const PerformanceMonitor = {
+    // Configuration
+    config: {
+        sinks: ['console'],
+        endpoint: null,
+        consentCategory: 'analytics', // the beacon sink sends nothing without it
+        // Report every update instead of only final values when the page is hidden
+        reportAllChanges: false,
+        // Map selectors to the module that renders or animates them
+        moduleSelectors: {
+            'canvas': 'backgroundParticles',
+            '.cursor-dot, .cursor-outline, .loading-overlay': 'professionalEffects',
+            '.hero-content h1': 'professionalEffects',
+            '.cta-button': 'buttonEnhancement',
+            '.laptop-container, .laptop-image, .hero-mockup': 'laptopEnhancement',
+            'nav, .header, .mobile-menu-btn': 'navigation'
+        }
+    },
+
+    // Good / poor thresholds per metric
+    THRESHOLDS: {
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500],
+        FCP: [1800, 3000],
+        TTFB: [800, 1800]
+    },
+
+    // Sink implementations keyed by name
+    sinks: {},
+
+    // State
+    state: {
+        metrics: {},
+        reported: new Set(),
+        observers: [],
+        clsSession: { value: 0, entries: [], lastTime: 0, firstTime: 0 },
+        interactions: new Map(),
+        isInitialized: false
+    },
+
+    /**
+     * Start observing
+     * @param {Object} options - Config overrides
+     */
+    init(options = {}) {
+        if (this.state.isInitialized || typeof PerformanceObserver === 'undefined') return;
+
+        this.config = { ...this.config, ...options };
+
+        this.observe('paint', entries => this.handlePaint(entries));
+        this.observe('largest-contentful-paint', entries => this.handleLCP(entries));
+        this.observe('layout-shift', entries => this.handleLayoutShift(entries));
+        this.observe('event', entries => this.handleEvents(entries), { durationThreshold: 40 });
+        this.observe('first-input', entries => this.handleEvents(entries));
+        this.measureTTFB();
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.state.isInitialized = true;
+    },
+
+    /**
+     * Register a sink
+     * @param {string} name - Sink name used in config.sinks
+     * @param {Function} sink - Called with (metric, config)
+     */
+    registerSink(name, sink) {
+        if (typeof sink !== 'function') {
+            throw new Error(`Sink "${name}" must be a function`);
+        }
+        this.sinks[name] = sink;
+    },
+
+    /**
+     * Observe a performance entry type if the browser supports it
+     * @param {string} type - Entry type
+     * @param {Function} callback - Called with the list of entries
+     * @param {Object} extra - Extra observe() options
+     */
+    observe(type, callback, extra = {}) {
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        if (!supported.includes(type)) return;
+
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...extra });
+            this.state.observers.push(observer);
+        } catch (error) {
+            console.warn(`PerformanceMonitor: cannot observe ${type}`, error);
+        }
+    },
+
+    /**
+     * Handle paint entries (FCP)
+     * @param {PerformanceEntry[]} entries - Paint entries
+     */
+    handlePaint(entries) {
+        entries.forEach(entry => {
+            if (entry.name === 'first-contentful-paint') {
+                this.setMetric('FCP', entry.startTime, {}, true);
+            }
+        });
+    },
+
+    /**
+     * Handle largest-contentful-paint entries
+     * @param {PerformanceEntry[]} entries - LCP entries
+     */
+    handleLCP(entries) {
+        const entry = entries[entries.length - 1];
+        if (!entry) return;
+
+        this.setMetric('LCP', entry.startTime, {
+            ...this.describeElement(entry.element),
+            url: entry.url || null,
+            size: entry.size
+        });
+    },
+
+    /**
+     * Handle layout-shift entries using session windows (1s gap, 5s max)
+     * @param {PerformanceEntry[]} entries - Layout shift entries
+     */
+    handleLayoutShift(entries) {
+        const session = this.state.clsSession;
+
+        entries.forEach(entry => {
+            if (entry.hadRecentInput) return;
+
+            const startsNewSession = !session.entries.length ||
+                entry.startTime - session.lastTime > 1000 ||
+                entry.startTime - session.firstTime > 5000;
+
+            if (startsNewSession) {
+                session.value = 0;
+                session.entries = [];
+                session.firstTime = entry.startTime;
+            }
+
+            session.value += entry.value;
+            session.entries.push(entry);
+            session.lastTime = entry.startTime;
+
+            const current = this.state.metrics.CLS;
+            if (!current || session.value > current.value) {
+                this.setMetric('CLS', session.value, this.attributeLayoutShift(session.entries));
+            }
+        });
+
+        if (!this.state.metrics.CLS) {
+            this.setMetric('CLS', 0, {});
+        }
+    },
+
+    /**
+     * Attribute a CLS session to the node that shifted the most
+     * @param {PerformanceEntry[]} entries - Session entries
+     * @returns {Object} Attribution
+     */
+    attributeLayoutShift(entries) {
+        const largest = entries.reduce((max, entry) => (entry.value > max.value ? entry : max), entries[0]);
+        const source = largest && largest.sources
+            ? largest.sources.find(item => item.node && item.node.nodeType === 1)
+            : null;
+
+        return {
+            ...this.describeElement(source ? source.node : null),
+            largestShift: largest ? largest.value : 0
+        };
+    },
+
+    /**
+     * Handle event timing entries (INP)
+     * @param {PerformanceEntry[]} entries - Event entries
+     */
+    handleEvents(entries) {
+        entries.forEach(entry => {
+            if (!entry.interactionId) return;
+
+            const existing = this.state.interactions.get(entry.interactionId);
+            if (!existing || entry.duration > existing.duration) {
+                this.state.interactions.set(entry.interactionId, entry);
+            }
+        });
+
+        const interactions = [...this.state.interactions.values()].sort((a, b) => b.duration - a.duration);
+        if (!interactions.length) return;
+
+        // Skip one outlier per 50 interactions (approximates the 98th percentile)
+        const candidate = interactions[Math.min(interactions.length - 1, Math.floor(interactions.length / 50))];
+
+        this.setMetric('INP', candidate.duration, {
+            ...this.describeElement(candidate.target),
+            eventType: candidate.name,
+            inputDelay: candidate.processingStart - candidate.startTime,
+            processingTime: candidate.processingEnd - candidate.processingStart
+        });
+    },
+
+    /**
+     * Measure time to first byte from navigation timing
+     */
+    measureTTFB() {
+        const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+        if (!navigation) return;
+
+        const value = Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+
+        this.setMetric('TTFB', value, {
+            dnsTime: navigation.domainLookupEnd - navigation.domainLookupStart,
+            connectionTime: navigation.connectEnd - navigation.connectStart,
+            requestTime: navigation.responseStart - navigation.requestStart
+        }, true);
+    },
+
+    /**
+     * Describe an element and the module responsible for it
+     * @param {Element|null} element - Element to describe
+     * @returns {Object} Selector and module name
+     */
+    describeElement(element) {
+        if (!element || element.nodeType !== 1) {
+            return { element: null, module: null };
+        }
+
+        let selector = element.tagName.toLowerCase();
+        if (element.id) {
+            selector += `#${element.id}`;
+        } else if (element.classList.length) {
+            selector += `.${[...element.classList].join('.')}`;
+        }
+
+        const match = Object.entries(this.config.moduleSelectors).find(([moduleSelector]) => {
+            return element.closest(moduleSelector);
+        });
+
+        return { element: selector, module: match ? match[1] : null };
+    },
+
+    /**
+     * Store a metric value
+     * @param {string} name - Metric name
+     * @param {number} value - Metric value
+     * @param {Object} attribution - Attribution data
+     * @param {boolean} isFinal - Whether the value can no longer change
+     */
+    setMetric(name, value, attribution, isFinal = false) {
+        const metric = {
+            name,
+            value: name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value),
+            rating: this.rate(name, value),
+            attribution,
+            timestamp: Date.now()
+        };
+
+        this.state.metrics[name] = metric;
+
+        if (this.config.reportAllChanges || isFinal) {
+            this.report(metric);
+        }
+    },
+
+    /**
+     * Rate a metric value
+     * @param {string} name - Metric name
+     * @param {number} value - Metric value
+     * @returns {string} good, needs-improvement or poor
+     */
+    rate(name, value) {
+        const [good, poor] = this.THRESHOLDS[name];
+        if (value <= good) return 'good';
+        if (value <= poor) return 'needs-improvement';
+        return 'poor';
+    },
+
+    /**
+     * Send a metric to the configured sinks
+     * @param {Object} metric - Metric
+     */
+    report(metric) {
+        const key = `${metric.name}:${metric.value}`;
+        if (this.state.reported.has(key)) return;
+        this.state.reported.add(key);
+
+        this.config.sinks.forEach(sink => {
+            const send = typeof sink === 'function' ? sink : this.sinks[sink];
+            if (!send) {
+                console.warn(`PerformanceMonitor: unknown sink "${sink}"`);
+                return;
+            }
+
+            try {
+                send(metric, this.config);
+            } catch (error) {
+                console.warn('PerformanceMonitor: sink failed', error);
+            }
+        });
+
+        EventBus.emit('perf:vital', metric);
+    },
+
+    /**
+     * Report current values when the page is hidden (they are final by then)
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.flush();
+        }
+    },
+
+    /**
+     * Report the current value of every metric
+     */
+    flush() {
+        Object.values(this.state.metrics).forEach(metric => this.report(metric));
+    },
+
+    /**
+     * Get collected metrics
+     * @returns {Object} Metrics keyed by name
+     */
+    getMetrics() {
+        const metrics = {};
+        Object.entries(this.state.metrics).forEach(([name, metric]) => {
+            metrics[name] = { ...metric, attribution: { ...metric.attribution } };
+        });
+        return metrics;
+    },
+
+    /**
+     * Stop observing (cleanup)
+     */
+    destroy() {
+        this.state.observers.forEach(observer => observer.disconnect());
+        this.state.observers = [];
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.state.isInitialized = false;
+    }
+};
+
+// Built-in sinks
+
+PerformanceMonitor.registerSink('console', metric => {
+    console.log(`Web vital ${metric.name}:`, metric.value, `(${metric.rating})`, metric.attribution);
+});
+
+PerformanceMonitor.registerSink('beacon', (metric, config) => {
+    if (!config.endpoint || !Consent.isGranted(config.consentCategory)) return;
+
+    const body = JSON.stringify({ vitals: [{ ...metric, url: window.location.pathname }] });
+
+    // text/plain keeps the request "simple", so a collector on another origin needs no preflight
+    if (navigator.sendBeacon && navigator.sendBeacon(config.endpoint, new Blob([body], { type: 'text/plain' }))) {
+        return;
+    }
+    if (typeof fetch === 'function') {
+        fetch(config.endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } })
+            .catch(error => console.warn('PerformanceMonitor: beacon failed', error));
+    }
+});
+
+// Make PerformanceMonitor available globally
+window.PerformanceMonitor = PerformanceMonitor;
@@ -0,0 +1,278 @@
+/**
+ * Router
+ * Keeps the URL hash in step with in-page navigation, so sections can be linked and revisited
+ *
+ * Routes are section names, written to the URL as #name (the default route as no hash at all).
+ * Modules take part through guards and hooks:
+ *
+ *     Router.beforeEach((to, from) => isKnown(to.route));   // false cancels, a string redirects
+ *     Router.afterEach((to, from) => scrollTo(to.route));
+ *
+ * A hash present on load is navigated to once the app has loaded and layout has settled,
+ * and back/forward navigate to the entry's route without adding history.
+ */
+
+const Router = {
+    // Configuration
+    config: {
+        historyMode: 'push', // 'push' adds a history entry per navigation, 'replace' keeps one
+        defaultRoute: 'home', // route of a URL without a hash
+        scrollOnLoad: true, // navigate to the hash present on load
+        settleDelay: 700, // ms after load for entrance animations to finish
+        maxRedirects: 5
+    },
+
+    // Owns page listeners while initialized
+    scope: null,
+
+    // history.scrollRestoration before init, put back on destroy
+    previousScrollRestoration: null,
+
+    // State
+    state: {
+        current: null,
+        guards: [],
+        hooks: [],
+        isInitialized: false
+    },
+
+    /**
+     * Start routing
+     * @param {Object} options - Config overrides
+     */
+    init(options = {}) {
+        if (this.state.isInitialized) return;
+
+        Helpers.deepMerge(this.config, options);
+        this.scope = Helpers.createScope('router');
+
+        this.state.current = this.getHashRoute();
+
+        // Back/forward scroll to the entry's section themselves; the browser restoring its old
+        // position at the same time would fight that scroll
+        if ('scrollRestoration' in history) {
+            this.previousScrollRestoration = history.scrollRestoration;
+            history.scrollRestoration = 'manual';
+        }
+
+        this.scope.listen(window, 'popstate', (e) => this.handlePopState(e));
+
+        // Sticky, so this also runs when the app has already loaded
+        if (this.config.scrollOnLoad) {
+            this.scope.add(EventBus.on('app:loaded', () => {
+                this.whenSettled().then(() => this.handleInitialRoute());
+            }));
+        }
+
+        this.state.isInitialized = true;
+    },
+
+    /**
+     * Add a guard, run before every navigation
+     * @param {Function} guard - Called with (to, from); false cancels, a route name redirects
+     * @returns {Function} Remove the guard
+     */
+    beforeEach(guard) {
+        this.state.guards.push(guard);
+        return () => {
+            this.state.guards = this.state.guards.filter(item => item !== guard);
+        };
+    },
+
+    /**
+     * Add a hook, run after every navigation
+     * @param {Function} hook - Called with (to, from)
+     * @returns {Function} Remove the hook
+     */
+    afterEach(hook) {
+        this.state.hooks.push(hook);
+        return () => {
+            this.state.hooks = this.state.hooks.filter(item => item !== hook);
+        };
+    },
+
+    /**
+     * Navigate to a route
+     * @param {string} route - Route name
+     * @param {Object} options - { source, history: 'push'|'replace'|false }
+     * @returns {boolean} True if navigated, false if a guard cancelled
+     */
+    navigate(route, options = {}) {
+        const { source = 'api', history = this.config.historyMode } = options;
+        const from = this.getRoute();
+
+        const to = this.runGuards({ route: route || this.config.defaultRoute, source }, from);
+        if (!to) return false;
+
+        if (history) {
+            this.updateHistory(to.route, to.route === from.route ? 'replace' : history);
+        }
+
+        this.state.current = to.route;
+        this.runHooks(to, from);
+
+        EventBus.emit('route:change', { route: to.route, previous: from.route, source });
+        return true;
+    },
+
+    /**
+     * Run guards, following redirects
+     * @param {Object} to - Requested route
+     * @param {Object} from - Current route
+     * @returns {Object|null} Route to navigate to, or null if cancelled
+     */
+    runGuards(to, from) {
+        for (let redirects = 0; redirects <= this.config.maxRedirects; redirects++) {
+            let redirect = null;
+
+            for (const guard of this.state.guards) {
+                let result;
+                try {
+                    result = guard(to, from);
+                } catch (error) {
+                    console.error('Router: guard failed', error);
+                    return null;
+                }
+
+                if (result === false) return null;
+                if (typeof result === 'string' && result !== to.route) {
+                    redirect = result;
+                    break;
+                }
+            }
+
+            if (!redirect) return to;
+            to = { ...to, route: redirect, redirectedFrom: to.route };
+        }
+
+        console.warn(`Router: too many redirects navigating to "${to.route}"`);
+        return null;
+    },
+
+    /**
+     * Run hooks, isolating failures
+     * @param {Object} to - New route
+     * @param {Object} from - Previous route
+     */
+    runHooks(to, from) {
+        [...this.state.hooks].forEach(hook => {
+            try {
+                hook(to, from);
+            } catch (error) {
+                console.error('Router: hook failed', error);
+            }
+        });
+    },
+
+    /**
+     * Write a route to the URL
+     * @param {string} route - Route name
+     * @param {string} mode - 'push' or 'replace'
+     */
+    updateHistory(route, mode) {
+        const url = route === this.config.defaultRoute
+            ? window.location.pathname + window.location.search
+            : `#${encodeURIComponent(route)}`;
+
+        try {
+            if (mode === 'replace') {
+                history.replaceState({ route }, '', url);
+            } else {
+                history.pushState({ route }, '', url);
+            }
+        } catch (error) {
+            // Sandboxed or opaque origins refuse history writes; navigation still works
+            console.warn('Router: could not update history', error);
+        }
+    },
+
+    /**
+     * Navigate to the entry's route on back/forward
+     * @param {PopStateEvent} e - popstate event
+     */
+    handlePopState(e) {
+        const route = e.state && e.state.route ? e.state.route : this.getHashRoute();
+        this.navigate(route, { source: 'popstate', history: false });
+    },
+
+    /**
+     * Navigate to the hash present on load
+     */
+    handleInitialRoute() {
+        const route = this.getHashRoute();
+        if (route === this.config.defaultRoute) return;
+
+        this.navigate(route, { source: 'load', history: 'replace' });
+    },
+
+    /**
+     * Wait for images, fonts and entrance animations, so sections are where they will stay
+     * @returns {Promise} Resolves once layout has settled
+     */
+    whenSettled() {
+        const loaded = document.readyState === 'complete'
+            ? Promise.resolve()
+            : new Promise(resolve => this.scope.listen(window, 'load', resolve, { once: true }));
+        const fonts = document.fonts ? document.fonts.ready.catch(() => {}) : Promise.resolve();
+
+        return Promise.all([loaded, fonts])
+            .then(() => new Promise(resolve => this.scope.setTimeout(resolve, this.config.settleDelay)))
+            .then(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+    },
+
+    /**
+     * Read the route from the URL hash
+     * @returns {string} Route name, or the default route without a hash
+     */
+    getHashRoute() {
+        const hash = window.location.hash.substring(1);
+        if (!hash) return this.config.defaultRoute;
+
+        try {
+            return decodeURIComponent(hash);
+        } catch (error) {
+            return hash;
+        }
+    },
+
+    /**
+     * Get the current route
+     * @returns {Object} { route }
+     */
+    getRoute() {
+        return { route: this.state.current || this.getHashRoute() };
+    },
+
+    /**
+     * Get router state
+     * @returns {Object} Current route, guard and hook counts
+     */
+    getState() {
+        return {
+            route: this.getRoute().route,
+            guards: this.state.guards.length,
+            hooks: this.state.hooks.length
+        };
+    },
+
+    /**
+     * Stop routing (cleanup)
+     */
+    destroy() {
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+
+        if (this.previousScrollRestoration !== null) {
+            history.scrollRestoration = this.previousScrollRestoration;
+            this.previousScrollRestoration = null;
+        }
+
+        this.state.current = null;
+        this.state.isInitialized = false;
+    }
+};
+
+// Make Router available globally
+window.Router = Router;
@@ -0,0 +1,123 @@
+/**
+ * Service Worker Client
+ * Registers sw.js and announces when a new version of the site is waiting to take over
+ */
+
+const ServiceWorkerClient = {
+    // Configuration
+    config: {
+        url: 'sw.js',
+        scope: './'
+    },
+
+    // State
+    state: {
+        registration: null,
+        waiting: null,
+        isUpdating: false,
+        isInitialized: false
+    },
+
+    /**
+     * Register the service worker
+     * @param {Object} options - Config overrides
+     * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported or failed
+     */
+    init(options = {}) {
+        if (this.state.isInitialized) return Promise.resolve(this.state.registration);
+
+        Helpers.deepMerge(this.config, options);
+
+        if (!('serviceWorker' in navigator)) {
+            return Promise.resolve(null);
+        }
+
+        this.state.isInitialized = true;
+
+        // The new worker took over: reload so the page matches its cache
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.state.isUpdating) {
+                window.location.reload();
+            }
+        });
+
+        return navigator.serviceWorker.register(this.config.url, {
+            scope: this.config.scope,
+            updateViaCache: 'none'
+        }).then(registration => {
+            this.state.registration = registration;
+            this.watchForUpdates(registration);
+            return registration;
+        }).catch(error => {
+            console.warn('Service worker registration failed:', error);
+            return null;
+        });
+    },
+
+    /**
+     * Track workers that finish installing while an older one controls the page
+     * @param {ServiceWorkerRegistration} registration - Active registration
+     */
+    watchForUpdates(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.handleWaiting(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.handleWaiting(worker);
+                }
+            });
+        });
+    },
+
+    /**
+     * Remember the waiting worker and tell the app
+     * @param {ServiceWorker} worker - Installed worker
+     */
+    handleWaiting(worker) {
+        this.state.waiting = worker;
+        EventBus.emit('app:update-available', { scope: this.state.registration.scope });
+    },
+
+    /**
+     * Activate the waiting worker; the page reloads once it has taken over
+     * @returns {boolean} False if no update is waiting
+     */
+    applyUpdate() {
+        if (!this.state.waiting) return false;
+
+        this.state.isUpdating = true;
+        this.state.waiting.postMessage({ type: 'SKIP_WAITING' });
+        return true;
+    },
+
+    /**
+     * Ask the browser to check for a new version now
+     * @returns {Promise<void>}
+     */
+    checkForUpdate() {
+        return this.state.registration ? this.state.registration.update() : Promise.resolve();
+    },
+
+    /**
+     * Get service worker state
+     * @returns {Object} Registration status
+     */
+    getState() {
+        return {
+            isSupported: 'serviceWorker' in navigator,
+            isRegistered: this.state.registration !== null,
+            isControlled: 'serviceWorker' in navigator && navigator.serviceWorker.controller !== null,
+            updateAvailable: this.state.waiting !== null
+        };
+    }
+};
+
+// Make ServiceWorkerClient available globally
+window.ServiceWorkerClient = ServiceWorkerClient;
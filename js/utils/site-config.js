@@ -0,0 +1,246 @@
+/**
+ * Site Configuration
+ * Reads per-site settings from markup, validates them and hands them to modules
+ *
+ * Two sources are supported, merged in this order (later wins):
+ *
+ * 1. A JSON block keyed by module name:
+ *    <script type="application/json" id="domedia-config">
+ *        { "navigation": { "smoothScrollOffset": 60 }, "backgroundParticles": { "particleCount": 30 } }
+ *    </script>
+ *
+ * 2. data-config-* attributes on <html> or <body>. The module name and each key
+ *    segment are separated by a double dash and written in kebab-case:
+ *    <body data-config-navigation--smooth-scroll-offset="60"
+ *          data-config-laptop-enhancement--observer-options--threshold="0.5">
+ *
+ * Unknown options, and sections that match no module or plugin, are reported as warnings.
+ */
+
+const SiteConfig = {
+    // Configuration
+    config: {
+        scriptId: 'domedia-config',
+        attributePrefix: 'data-config-'
+    },
+
+    // State
+    state: {
+        values: {},
+        warnings: [],
+        isLoaded: false
+    },
+
+    /**
+     * Read configuration from the document
+     * @returns {Object} Raw configuration keyed by module name
+     */
+    load() {
+        this.state.values = {};
+        this.state.warnings = [];
+
+        Helpers.deepMerge(this.state.values, this.readScriptBlock(), this.readAttributes());
+
+        this.state.isLoaded = true;
+        return this.state.values;
+    },
+
+    /**
+     * Read the JSON configuration block
+     * @returns {Object} Parsed configuration
+     */
+    readScriptBlock() {
+        const script = document.getElementById(this.config.scriptId);
+        if (!script) return {};
+
+        try {
+            const parsed = JSON.parse(script.textContent || '{}');
+            if (!Helpers.isPlainObject(parsed)) {
+                this.warn(`#${this.config.scriptId} must contain a JSON object`);
+                return {};
+            }
+            return parsed;
+        } catch (error) {
+            this.warn(`#${this.config.scriptId} is not valid JSON (${error.message})`);
+            return {};
+        }
+    },
+
+    /**
+     * Read data-config-* attributes from <html> and <body>
+     * @returns {Object} Configuration built from attributes
+     */
+    readAttributes() {
+        const values = {};
+        const prefix = this.config.attributePrefix;
+
+        [document.documentElement, document.body].forEach(element => {
+            if (!element) return;
+
+            Array.from(element.attributes).forEach(({ name, value }) => {
+                if (!name.startsWith(prefix)) return;
+
+                const path = name.slice(prefix.length).split('--').map(segment => this.toCamelCase(segment));
+                if (path.length < 2 || path.some(segment => !segment)) {
+                    this.warn(`Ignoring "${name}": expected ${prefix}<module>--<key>`);
+                    return;
+                }
+
+                let target = values;
+                path.slice(0, -1).forEach(segment => {
+                    target[segment] = Helpers.isPlainObject(target[segment]) ? target[segment] : {};
+                    target = target[segment];
+                });
+                target[path[path.length - 1]] = this.parseAttributeValue(value);
+            });
+        });
+
+        return values;
+    },
+
+    /**
+     * Convert an attribute string into a typed value
+     * @param {string} value - Attribute value
+     * @returns {*} Number, boolean, parsed JSON or the original string
+     */
+    parseAttributeValue(value) {
+        const trimmed = value.trim();
+
+        if (trimmed === 'true') return true;
+        if (trimmed === 'false') return false;
+        if (trimmed !== '' && !isNaN(Number(trimmed))) return Number(trimmed);
+
+        if (/^[[{]/.test(trimmed)) {
+            try {
+                return JSON.parse(trimmed);
+            } catch (error) {
+                return value;
+            }
+        }
+
+        return value;
+    },
+
+    /**
+     * Get validated configuration for a module
+     * @param {string} name - Module name
+     * @param {Object} schema - Schema describing allowed keys
+     * @returns {Object} Valid overrides (invalid values are dropped with a warning)
+     */
+    get(name, schema = null) {
+        if (!this.state.isLoaded) {
+            this.load();
+        }
+
+        const values = this.state.values[name];
+        if (values === undefined) return {};
+
+        if (!Helpers.isPlainObject(values)) {
+            this.warn(`"${name}" config must be an object`);
+            return {};
+        }
+
+        return schema ? this.validate(values, schema, name) : { ...values };
+    },
+
+    /**
+     * Warn about top-level keys that no module reads, such as a misspelled module name
+     * @param {string[]} known - Names with a configuration section (modules, plugins and "app")
+     * @returns {string[]} Unknown keys
+     */
+    checkSections(known) {
+        if (!this.state.isLoaded) {
+            this.load();
+        }
+
+        const unknown = Object.keys(this.state.values).filter(name => !known.includes(name));
+        unknown.forEach(name => this.warn(`Unknown section "${name}" matches no module or plugin`));
+        return unknown;
+    },
+
+    /**
+     * Validate values against a schema
+     *
+     * Schema entries look like { type: 'number', min: 0, max: 1 }, { type: 'string', enum: [...] }
+     * or { type: 'object', properties: { ... } }. Object entries without properties accept any keys.
+     *
+     * @param {Object} values - Values to validate
+     * @param {Object} schema - Map of key to schema entry
+     * @param {string} path - Dotted path used in warnings
+     * @returns {Object} Valid values
+     */
+    validate(values, schema, path) {
+        const valid = {};
+
+        Object.entries(values).forEach(([key, value]) => {
+            const keyPath = `${path}.${key}`;
+            const rule = schema[key];
+
+            if (!rule) {
+                this.warn(`Unknown option "${keyPath}"`);
+                return;
+            }
+
+            const type = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+            const expected = rule.type === 'object' ? 'object' : rule.type;
+
+            if (expected === 'object' ? !Helpers.isPlainObject(value) : type !== expected) {
+                this.warn(`"${keyPath}" should be ${rule.type}, got ${type}`);
+                return;
+            }
+
+            if (rule.enum && !rule.enum.includes(value)) {
+                this.warn(`"${keyPath}" should be one of ${rule.enum.join(', ')}, got ${value}`);
+                return;
+            }
+
+            if (typeof rule.min === 'number' && value < rule.min) {
+                this.warn(`"${keyPath}" should be at least ${rule.min}, got ${value}`);
+                return;
+            }
+
+            if (typeof rule.max === 'number' && value > rule.max) {
+                this.warn(`"${keyPath}" should be at most ${rule.max}, got ${value}`);
+                return;
+            }
+
+            valid[key] = rule.type === 'object' && rule.properties
+                ? this.validate(value, rule.properties, keyPath)
+                : value;
+        });
+
+        return valid;
+    },
+
+    /**
+     * Record and print a configuration warning
+     * @param {string} message - Warning text
+     */
+    warn(message) {
+        this.state.warnings.push(message);
+        console.warn(`DoMedia config: ${message}`);
+    },
+
+    /**
+     * Convert kebab-case to camelCase
+     * @param {string} value - kebab-case string
+     * @returns {string} camelCase string
+     */
+    toCamelCase(value) {
+        return value.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+    },
+
+    /**
+     * Get configuration state
+     * @returns {Object} Raw values and warnings
+     */
+    getState() {
+        return {
+            values: JSON.parse(JSON.stringify(this.state.values)),
+            warnings: [...this.state.warnings]
+        };
+    }
+};
+
+// Make SiteConfig available globally
+window.SiteConfig = SiteConfig;
@@ -0,0 +1,336 @@
+/**
+ * Theme Manager
+ * Light, dark and high-contrast token sets applied as CSS custom properties
+ *
+ * Each token is written to the root element twice, as --theme-<token> (hex) and
+ * --theme-<token>-rgb ("r, g, b"), so styles can add their own alpha:
+ *
+ *     box-shadow: 0 0 30px rgba(var(--theme-accent-rgb), 0.3);
+ *
+ * Styles set from JS use ThemeManager.cssColor() and follow theme changes on their own.
+ * Canvas drawing needs real values: use ThemeManager.color() and redraw on theme:change.
+ *
+ * The theme follows prefers-contrast and prefers-color-scheme until the visitor picks one,
+ * which is remembered. setTheme('auto') goes back to following the system.
+ */
+
+const ThemeManager = {
+    // Configuration
+    config: {
+        preference: 'auto', // 'auto' or a theme name, used until the visitor picks one
+        storageKey: 'domedia:theme',
+        themes: {
+            light: {
+                colorScheme: 'light',
+                tokens: {
+                    background: '#4457fd',
+                    backgroundAlt: '#63d3e3',
+                    foreground: '#ffffff',
+                    accent: '#4457fd',
+                    surface: '#141830',
+                    shadow: '#000000',
+                    backdrop: '#000000',
+                    particle: '#ffffff',
+                    success: '#2fbf71',
+                    warning: '#f5a623',
+                    error: '#ff4d4f'
+                }
+            },
+            dark: {
+                colorScheme: 'dark',
+                tokens: {
+                    background: '#0b1026',
+                    backgroundAlt: '#1b2a5c',
+                    foreground: '#e8ebff',
+                    accent: '#7b8cff',
+                    surface: '#161b33',
+                    shadow: '#000000',
+                    backdrop: '#05070f',
+                    particle: '#9fb0ff',
+                    success: '#3ddc84',
+                    warning: '#ffb946',
+                    error: '#ff6b6d'
+                }
+            },
+            'high-contrast': {
+                colorScheme: 'dark',
+                tokens: {
+                    background: '#000000',
+                    backgroundAlt: '#000000',
+                    foreground: '#ffffff',
+                    accent: '#ffff00',
+                    surface: '#000000',
+                    shadow: '#000000',
+                    backdrop: '#000000',
+                    particle: '#ffffff',
+                    success: '#00ff7f',
+                    warning: '#ffd700',
+                    error: '#ff5555'
+                }
+            }
+        }
+    },
+
+    // Owns the system preference listeners while initialized
+    scope: null,
+
+    // State
+    state: {
+        theme: null,
+        preference: 'auto',
+        queries: {},
+        isInitialized: false
+    },
+
+    /**
+     * Apply the stored or system theme and follow system changes
+     * @param {Object} options - Config overrides
+     * @returns {string} Active theme
+     */
+    init(options = {}) {
+        if (this.state.isInitialized) return this.state.theme;
+
+        Helpers.deepMerge(this.config, options);
+
+        this.scope = Helpers.createScope('themeManager');
+        this.watchSystem();
+        this.state.preference = this.loadPreference() || this.config.preference;
+        this.state.isInitialized = true;
+
+        // A choice made before functional consent is stored once it is granted
+        this.scope.add(Consent.whenGranted('functional', () => this.savePreference(this.state.preference)));
+
+        this.apply();
+        return this.state.theme;
+    },
+
+    /**
+     * Listen for prefers-contrast and prefers-color-scheme changes
+     */
+    watchSystem() {
+        if (typeof window.matchMedia !== 'function') return;
+
+        this.state.queries = {
+            contrast: window.matchMedia('(prefers-contrast: more)'),
+            dark: window.matchMedia('(prefers-color-scheme: dark)')
+        };
+
+        Object.values(this.state.queries).forEach(query => {
+            const listener = () => {
+                if (this.state.preference === 'auto') this.apply();
+            };
+
+            if (typeof query.addEventListener === 'function') {
+                this.scope.listen(query, 'change', listener);
+            } else {
+                query.addListener(listener);
+                this.scope.add(() => query.removeListener(listener));
+            }
+        });
+    },
+
+    /**
+     * Work out the theme the system asks for
+     * @returns {string} Theme name
+     */
+    getSystemTheme() {
+        const { contrast, dark } = this.state.queries;
+
+        if (contrast && contrast.matches && this.config.themes['high-contrast']) return 'high-contrast';
+        if (dark && dark.matches && this.config.themes.dark) return 'dark';
+        return 'light';
+    },
+
+    /**
+     * Read the visitor's stored choice
+     * @returns {string|null} Theme name, or null if none or no longer defined
+     */
+    loadPreference() {
+        try {
+            const stored = localStorage.getItem(this.config.storageKey);
+            return stored && this.config.themes[stored] ? stored : null;
+        } catch (error) {
+            // Storage blocked: fall back to the configured preference
+            return null;
+        }
+    },
+
+    /**
+     * Remember or forget the visitor's choice (remembering needs functional consent)
+     * @param {string} preference - Theme name, or 'auto' to forget
+     */
+    savePreference(preference) {
+        try {
+            if (preference === 'auto' || !Consent.isGranted('functional')) {
+                localStorage.removeItem(this.config.storageKey);
+            } else {
+                localStorage.setItem(this.config.storageKey, preference);
+            }
+        } catch (error) {
+            // Storage blocked: the choice lasts for this page view
+        }
+    },
+
+    /**
+     * Pick a theme, or 'auto' to follow the system again
+     * @param {string} preference - Theme name or 'auto'
+     * @param {Object} options - Options
+     * @param {boolean} [options.persist=true] - Remember the choice across visits
+     * @returns {string} Active theme
+     */
+    setTheme(preference, { persist = true } = {}) {
+        if (preference !== 'auto' && !this.config.themes[preference]) {
+            console.warn(`ThemeManager: unknown theme "${preference}"`);
+            return this.getTheme();
+        }
+
+        this.state.preference = preference;
+        if (persist) {
+            this.savePreference(preference);
+        }
+
+        this.apply();
+        return this.state.theme;
+    },
+
+    /**
+     * Write the active theme's tokens to the root element and announce changes
+     */
+    apply() {
+        const preference = this.state.preference;
+        const previous = this.state.theme;
+        const name = preference !== 'auto' && this.config.themes[preference] ? preference : this.getSystemTheme();
+        const theme = this.config.themes[name];
+        const root = document.documentElement;
+
+        Object.entries(theme.tokens).forEach(([token, value]) => {
+            const property = this.getPropertyName(token);
+            Helpers.setCSSCustomProperty(property, value);
+            Helpers.setCSSCustomProperty(`${property}-rgb`, this.toRGB(value).join(', '));
+        });
+
+        root.setAttribute('data-theme', name);
+        root.style.colorScheme = theme.colorScheme || 'normal';
+
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta && theme.tokens.background) {
+            meta.setAttribute('content', theme.tokens.background);
+        }
+
+        this.state.theme = name;
+
+        if (previous !== name) {
+            EventBus.emit('theme:change', {
+                theme: name,
+                previous,
+                preference,
+                tokens: { ...theme.tokens }
+            });
+        }
+    },
+
+    /**
+     * Get the active theme
+     * @returns {string} Theme name
+     */
+    getTheme() {
+        return this.state.theme || 'light';
+    },
+
+    /**
+     * Get the visitor's choice
+     * @returns {string} Theme name or 'auto'
+     */
+    getPreference() {
+        return this.state.preference;
+    },
+
+    /**
+     * Get a token value from the active theme
+     * @param {string} token - Token name
+     * @returns {string|null} Hex color, or null if the theme has no such token
+     */
+    getToken(token) {
+        const theme = this.config.themes[this.getTheme()];
+        return theme && token in theme.tokens ? theme.tokens[token] : null;
+    },
+
+    /**
+     * Resolve a token to a color for the active theme (for canvas and other one-off reads)
+     * @param {string} token - Token name
+     * @param {number} alpha - Opacity from 0 to 1
+     * @returns {string} rgba() color
+     */
+    color(token, alpha = 1) {
+        const value = this.getToken(token);
+        if (value === null) {
+            console.warn(`ThemeManager: unknown token "${token}"`);
+            return 'transparent';
+        }
+
+        return `rgba(${this.toRGB(value).join(', ')}, ${alpha})`;
+    },
+
+    /**
+     * Reference a token from CSS so the color follows theme changes
+     * @param {string} token - Token name
+     * @param {number} alpha - Opacity from 0 to 1
+     * @returns {string} rgba() color built from the token's custom property
+     */
+    cssColor(token, alpha = 1) {
+        return `rgba(var(${this.getPropertyName(token)}-rgb), ${alpha})`;
+    },
+
+    /**
+     * Get the custom property that holds a token
+     * @param {string} token - Token name such as "backgroundAlt"
+     * @returns {string} Property name such as "--theme-background-alt"
+     */
+    getPropertyName(token) {
+        return `--theme-${token.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+    },
+
+    /**
+     * Split a hex color into channels
+     * @param {string} hex - "#rgb" or "#rrggbb"
+     * @returns {number[]} Red, green and blue
+     */
+    toRGB(hex) {
+        let digits = String(hex).replace('#', '');
+        if (digits.length === 3) {
+            digits = digits.split('').map(digit => digit + digit).join('');
+        }
+
+        const value = parseInt(digits, 16) || 0;
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    },
+
+    /**
+     * Get theme state
+     * @returns {Object} Active theme, preference and system theme
+     */
+    getState() {
+        return {
+            theme: this.getTheme(),
+            preference: this.state.preference,
+            system: this.getSystemTheme(),
+            themes: Object.keys(this.config.themes)
+        };
+    },
+
+    /**
+     * Stop following the system (the applied theme stays in place)
+     */
+    destroy() {
+        if (this.scope) {
+            this.scope.dispose();
+            this.scope = null;
+        }
+
+        this.state.queries = {};
+        this.state.isInitialized = false;
+    }
+};
+
+// Make ThemeManager available globally
+window.ThemeManager = ThemeManager;
@@ -16,17 +16,11 @@ const ViewportUtils = {
     },
 
     /**
-     * Get current breakpoint based on viewport width
+     * Get current breakpoint (resolved by ResponsiveHandler)
      * @returns {string} Current breakpoint name
      */
     getCurrentBreakpoint() {
-        const width = this.getViewportSize().width;
-        
-        if (width >= 1400) return 'xl';
-        if (width >= 1024) return 'lg';
-        if (width >= 768) return 'md';
-        if (width >= 480) return 'sm';
-        return 'xs';
+        return ResponsiveHandler.getCurrentBreakpoint();
     },
 
     /**
@@ -171,25 +165,37 @@ const ViewportUtils = {
         };
     },
 
+    /**
+     * Get how far the page is scrolled
+     * @returns {number} Progress from 0 (top) to 1 (bottom); 1 if the page does not scroll
+     */
+    getScrollProgress() {
+        const scrollable = document.body.scrollHeight - this.getViewportSize().height;
+        if (scrollable <= 0) return 1;
+
+        return Math.min(1, Math.max(0, this.getScrollPosition().y / scrollable));
+    },
+
     /**
      * Set up scroll listeners
-     * @param {Function} callback - Callback function for scroll events
+     * @param {Function} callback - Callback function for scroll events, also called with the final position
      * @param {number} throttleMs - Throttle delay in milliseconds
      * @returns {Function} Cleanup function
      */
     onScroll(callback, throttleMs = 16) {
+        // Trailing, so the last event of a smooth scroll or fling is not dropped
         const throttledCallback = Helpers.throttle(() => {
             const position = this.getScrollPosition();
             const viewport = this.getViewportSize();
-            const progress = position.y / (document.body.scrollHeight - viewport.height);
-            callback({ position, viewport, progress: Math.min(1, Math.max(0, progress)) });
-        }, throttleMs);
+            callback({ position, viewport, progress: this.getScrollProgress() });
+        }, throttleMs, { trailing: true });
 
         window.addEventListener('scroll', throttledCallback, { passive: true });
 
         // Return cleanup function
         return () => {
             window.removeEventListener('scroll', throttledCallback);
+            throttledCallback.cancel();
         };
     },
 
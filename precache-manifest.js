@@ -0,0 +1,190 @@
+// Generated by scripts/generate-precache-manifest.js, do not edit
+self.PRECACHE_MANIFEST = {
+    "version": "ca8f4603938f",
+    "files": [
+        {
+            "url": "index.html",
+            "revision": "bd0434521fc5"
+        },
+        {
+            "url": "css/animations.css",
+            "revision": "43548074543a"
+        },
+        {
+            "url": "css/base.css",
+            "revision": "fa7be4435fa9"
+        },
+        {
+            "url": "css/button-visibility-enhancement.css",
+            "revision": "578806656d0a"
+        },
+        {
+            "url": "css/components.css",
+            "revision": "9638292ee4c2"
+        },
+        {
+            "url": "css/laptop-enhancement.css",
+            "revision": "4f139701f497"
+        },
+        {
+            "url": "css/layout.css",
+            "revision": "6b1aac3bfbd1"
+        },
+        {
+            "url": "css/professional-typography.css",
+            "revision": "e03a8c455711"
+        },
+        {
+            "url": "css/reset.css",
+            "revision": "927fb7250073"
+        },
+        {
+            "url": "css/responsive.css",
+            "revision": "3ab6016d0abd"
+        },
+        {
+            "url": "js/main.js",
+            "revision": "6918be77d6b3"
+        },
+        {
+            "url": "js/modules/animations.js",
+            "revision": "27871107a934"
+        },
+        {
+            "url": "js/modules/button-enhancement.js",
+            "revision": "4b612d9fc04f"
+        },
+        {
+            "url": "js/modules/dev-overlay.js",
+            "revision": "70543d6a691d"
+        },
+        {
+            "url": "js/modules/engagement.js",
+            "revision": "a67b9c256738"
+        },
+        {
+            "url": "js/modules/laptop-enhancement.js",
+            "revision": "b17d10a1f529"
+        },
+        {
+            "url": "js/modules/navigation.js",
+            "revision": "626add416e01"
+        },
+        {
+            "url": "js/modules/professional-effects.js",
+            "revision": "db604b2f139c"
+        },
+        {
+            "url": "js/modules/responsive-handler.js",
+            "revision": "afdabab0f86c"
+        },
+        {
+            "url": "js/utils/analytics.js",
+            "revision": "28491d876d50"
+        },
+        {
+            "url": "js/utils/consent.js",
+            "revision": "88b9b20dbcc8"
+        },
+        {
+            "url": "js/utils/error-reporter.js",
+            "revision": "159c7216b89c"
+        },
+        {
+            "url": "js/utils/event-bus.js",
+            "revision": "9786534b7ee1"
+        },
+        {
+            "url": "js/utils/experiments.js",
+            "revision": "0cc3e6cf5be6"
+        },
+        {
+            "url": "js/utils/helpers.js",
+            "revision": "2830e803be1a"
+        },
+        {
+            "url": "js/utils/i18n-bundled.js",
+            "revision": "60e54a56e604"
+        },
+        {
+            "url": "js/utils/i18n.js",
+            "revision": "941b4f93f8cb"
+        },
+        {
+            "url": "js/utils/module-registry.js",
+            "revision": "d7e293bb1a29"
+        },
+        {
+            "url": "js/utils/notifications.js",
+            "revision": "9c18b6b1298f"
+        },
+        {
+            "url": "js/utils/performance-monitor.js",
+            "revision": "94deb553d4f5"
+        },
+        {
+            "url": "js/utils/router.js",
+            "revision": "790c9a8da0d8"
+        },
+        {
+            "url": "js/utils/service-worker-client.js",
+            "revision": "8638fa4141dc"
+        },
+        {
+            "url": "js/utils/site-config.js",
+            "revision": "24dd87466957"
+        },
+        {
+            "url": "js/utils/theme.js",
+            "revision": "1c3e8fc2b532"
+        },
+        {
+            "url": "js/utils/viewport.js",
+            "revision": "8de67ee65c3b"
+        },
+        {
+            "url": "assets/fonts/HELVETICANEUE-THIN.OTF",
+            "revision": "44518cdcde95"
+        },
+        {
+            "url": "assets/images/icon/arrow-right.png",
+            "revision": "c5a919539857"
+        },
+        {
+            "url": "assets/images/icon/menu-campaigns.svg",
+            "revision": "5ba3eaa54818"
+        },
+        {
+            "url": "assets/images/icon/menu-insights.svg",
+            "revision": "afe3d880f56d"
+        },
+        {
+            "url": "assets/images/icon/menu-web-apps.svg",
+            "revision": "d995bcd46632"
+        },
+        {
+            "url": "assets/images/icon/menu-websites.svg",
+            "revision": "676272810762"
+        },
+        {
+            "url": "assets/images/icon/site-icon.jpg",
+            "revision": "aa611d5170c3"
+        },
+        {
+            "url": "assets/images/laptop/laptop.png",
+            "revision": "baa51e9ff4e6"
+        },
+        {
+            "url": "assets/images/logo/site-logo.png",
+            "revision": "1d80fe76c6f8"
+        },
+        {
+            "url": "locales/ar.json",
+            "revision": "23644ac27342"
+        },
+        {
+            "url": "locales/en.json",
+            "revision": "a285adadac75"
+        }
+    ]
+};
@@ -0,0 +1,151 @@
+/**
+ * Analytics Stub Server
+ * Local collector for the analytics and Web Vitals beacon sinks and the error reporter's beacon
+ * and fetch transports, for checking payloads without a real backend
+ *
+ *     node scripts/analytics-stub-server.js [port]
+ *
+ * Then point the site at it, e.g. in the page's domedia-config block:
+ *     { "app": { "analytics": { "sinks": ["beacon"], "endpoint": "http://localhost:8787/collect" } } }
+ *     { "app": { "errorReporting": { "transports": ["beacon"], "endpoint": "http://localhost:8787/collect" } } }
+ *     { "app": { "performance": { "sinks": ["beacon"], "endpoint": "http://localhost:8787/collect" } } }
+ *
+ * POST /collect    stores and logs each item of an { events } (analytics), { reports } (errors)
+ *                  or { vitals } (Web Vitals) batch
+ * GET /events      returns every stored analytics event as JSON (for scripted checks)
+ * GET /reports     returns every stored error report as JSON
+ * GET /vitals      returns every stored Web Vitals metric as JSON
+ * DELETE /events   clears the stored analytics events
+ * DELETE /reports  clears the stored error reports
+ * DELETE /vitals   clears the stored Web Vitals metrics
+ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+
+// Events, error reports and Web Vitals received since start (or the last DELETE)
+const events = [];
+const reports = [];
+const vitals = [];
+
+/**
+ * Send a response with permissive CORS headers
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {*} body - JSON body, or undefined for none
+ */
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' })
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body, null, 2));
+}
+
+/**
+ * Store a beacon or fetch batch
+ * @param {string} raw - Request body
+ * @returns {number} Number of events, reports or metrics stored
+ */
+function collect(raw) {
+    const payload = JSON.parse(raw);
+
+    if (payload && Array.isArray(payload.reports)) {
+        payload.reports.forEach(report => {
+            reports.push(report);
+            console.log(`${report.timestamp} error ${report.name}: ${report.message} (x${report.count || 1})`);
+        });
+        return payload.reports.length;
+    }
+
+    if (payload && Array.isArray(payload.vitals)) {
+        payload.vitals.forEach(metric => {
+            vitals.push(metric);
+            console.log(`vital ${metric.name} ${metric.value} (${metric.rating}) ${metric.url}`,
+                JSON.stringify(metric.attribution));
+        });
+        return payload.vitals.length;
+    }
+
+    if (!payload || !Array.isArray(payload.events)) {
+        throw new Error('Expected { events: [...] }, { reports: [...] } or { vitals: [...] }');
+    }
+
+    payload.events.forEach(event => {
+        events.push(event);
+        const session = event.session || {};
+        console.log(`${event.timestamp} ${event.name} #${session.sequence} ${session.id} (${payload.reason})`,
+            JSON.stringify(event.properties));
+    });
+
+    return payload.events.length;
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    if (pathname === '/collect' && req.method === 'POST') {
+        let raw = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            try {
+                collect(raw);
+                send(res, 204);
+            } catch (error) {
+                console.warn(`Rejected batch: ${error.message}`);
+                send(res, 400, { error: error.message });
+            }
+        });
+        return;
+    }
+
+    if (pathname === '/events' && req.method === 'GET') {
+        send(res, 200, events);
+        return;
+    }
+
+    if (pathname === '/events' && req.method === 'DELETE') {
+        events.length = 0;
+        send(res, 204);
+        return;
+    }
+
+    if (pathname === '/reports' && req.method === 'GET') {
+        send(res, 200, reports);
+        return;
+    }
+
+    if (pathname === '/reports' && req.method === 'DELETE') {
+        reports.length = 0;
+        send(res, 204);
+        return;
+    }
+
+    if (pathname === '/vitals' && req.method === 'GET') {
+        send(res, 200, vitals);
+        return;
+    }
+
+    if (pathname === '/vitals' && req.method === 'DELETE') {
+        vitals.length = 0;
+        send(res, 204);
+        return;
+    }
+
+    send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+    console.log(`Analytics stub listening on http://localhost:${PORT}/collect`);
+});
@@ -0,0 +1,26 @@
+/**
+ * Locale Bundle Generator
+ * Writes js/utils/i18n-bundled.js, the default locale's strings inlined for I18n.BUNDLED
+ *
+ * The inlined strings keep text readable when locale bundles fail to load, so they must match
+ * locales/en.json. Run from anywhere after changing that file, before regenerating the manifest:
+ *     node scripts/generate-locale-bundle.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const LOCALE = 'en';
+const SOURCE = `locales/${LOCALE}.json`;
+const OUTPUT = 'js/utils/i18n-bundled.js';
+
+const bundle = JSON.parse(fs.readFileSync(path.join(ROOT, SOURCE), 'utf8'));
+
+fs.writeFileSync(path.join(ROOT, OUTPUT), [
+    `// Generated by scripts/generate-locale-bundle.js from ${SOURCE}, do not edit`,
+    `I18n.BUNDLED[${JSON.stringify(LOCALE)}] = ${JSON.stringify(bundle, null, 4)};`,
+    ''
+].join('\n'));
+
+console.log(`Wrote ${OUTPUT}: ${Object.keys(bundle).length} sections from ${SOURCE}`);
@@ -0,0 +1,59 @@
+/**
+ * Precache Manifest Generator
+ * Writes precache-manifest.js, the list of files the service worker caches on install
+ *
+ * Each file gets a content hash and the manifest gets a version built from all of them,
+ * so any change to a shipped file makes the service worker install a fresh cache.
+ *
+ * Run from anywhere after changing index.html or anything under css/, js/, assets/ or locales/:
+ *     node scripts/generate-precache-manifest.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = 'precache-manifest.js';
+
+// Paths shipped with the site, relative to the root
+const INCLUDE = ['index.html', 'css', 'js', 'assets', 'locales'];
+
+/**
+ * List files under a path, sorted so the manifest is stable
+ * @param {string} relative - File or directory relative to the root
+ * @returns {string[]} File paths relative to the root
+ */
+function listFiles(relative) {
+    const absolute = path.join(ROOT, relative);
+    if (!fs.existsSync(absolute)) return [];
+    if (fs.statSync(absolute).isFile()) return [relative];
+
+    return fs.readdirSync(absolute)
+        .filter(name => !name.startsWith('.'))
+        .sort()
+        .flatMap(name => listFiles(path.join(relative, name)));
+}
+
+/**
+ * Short content hash
+ * @param {string|Buffer} contents - Data to hash
+ * @returns {string} First 12 hex characters of the SHA-256 digest
+ */
+function hash(contents) {
+    return crypto.createHash('sha256').update(contents).digest('hex').slice(0, 12);
+}
+
+const files = INCLUDE.flatMap(listFiles).map(file => ({
+    url: file.split(path.sep).join('/'),
+    revision: hash(fs.readFileSync(path.join(ROOT, file)))
+}));
+const version = hash(files.map(({ url, revision }) => `${url}@${revision}`).join('\n'));
+
+fs.writeFileSync(path.join(ROOT, OUTPUT), [
+    '// Generated by scripts/generate-precache-manifest.js, do not edit',
+    `self.PRECACHE_MANIFEST = ${JSON.stringify({ version, files }, null, 4)};`,
+    ''
+].join('\n'));
+
+console.log(`Wrote ${OUTPUT}: ${files.length} files, version ${version}`);
@@ -0,0 +1,146 @@
+/**
+ * Service Worker
+ * Precaches the site for offline use and serves each kind of request with its own strategy:
+ *
+ * - Files in precache-manifest.js: cache-first, refreshed when the manifest version changes
+ * - Anything else under assets/: cache-first, cached on first use
+ * - HTML pages: stale-while-revalidate (the fresh copy is used on the next visit)
+ * - Everything else, including other origins: network only
+ *
+ * A new version waits until the page asks it to take over (see ServiceWorkerClient).
+ */
+
+importScripts('precache-manifest.js');
+
+const CACHE_PREFIX = 'domedia-';
+const { version, files } = self.PRECACHE_MANIFEST;
+const PRECACHE = `${CACHE_PREFIX}precache-${version}`;
+const RUNTIME = `${CACHE_PREFIX}runtime-${version}`;
+
+const toURL = (url) => new URL(url, self.registration.scope).href;
+const PRECACHE_URLS = new Set(files.map(({ url }) => toURL(url)));
+const INDEX_URL = toURL('index.html');
+const ASSETS_PATH = new URL('assets/', self.registration.scope).pathname;
+
+/**
+ * Cache every file in the manifest
+ * @returns {Promise<void>} Rejects if any file fails, which aborts the install
+ */
+async function precache() {
+    const cache = await caches.open(PRECACHE);
+
+    await Promise.all(files.map(async ({ url, revision }) => {
+        // Bypass the HTTP cache so the stored copy matches the manifest revision
+        const response = await fetch(new Request(toURL(url), { cache: 'reload' }));
+        if (!response.ok) {
+            throw new Error(`Precaching ${url} (${revision}) failed with ${response.status}`);
+        }
+        await cache.put(toURL(url), response);
+    }));
+}
+
+/**
+ * Delete caches left by previous versions
+ * @returns {Promise<void>}
+ */
+async function removeOldCaches() {
+    const current = [PRECACHE, RUNTIME];
+    const names = await caches.keys();
+
+    await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+        .map(name => caches.delete(name)));
+}
+
+/**
+ * Find a response in this version's caches
+ * @param {Request|string} request - Request or URL
+ * @returns {Promise<Response|undefined>} Cached response
+ */
+async function matchCached(request) {
+    for (const name of [PRECACHE, RUNTIME]) {
+        const cache = await caches.open(name);
+        const response = await cache.match(request, { ignoreSearch: true });
+        if (response) return response;
+    }
+    return undefined;
+}
+
+/**
+ * Serve from cache, falling back to the network and caching the result
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+    const cached = await matchCached(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(RUNTIME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve the cached page straight away and refresh the cache in the background
+ * @param {FetchEvent} event - Fetch event, kept alive until the refresh finishes
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Query strings (?debug=1, ?variant=...) and "/" share one cached copy of the page
+    const key = url.pathname.endsWith('/') ? INDEX_URL : url.origin + url.pathname;
+    const cache = await caches.open(RUNTIME);
+
+    const network = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(key, response.clone());
+        }
+        return response;
+    });
+
+    // The revalidated copy wins over the one precached at install
+    const cached = (await cache.match(key)) || (await matchCached(key));
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    // Offline and never seen: fall back to the home page
+    return network.catch(async () => (await matchCached(INDEX_URL)) || Response.error());
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const accept = request.headers.get('accept') || '';
+    if (request.mode === 'navigate' || accept.includes('text/html')) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+
+    if (PRECACHE_URLS.has(url.origin + url.pathname) || url.pathname.startsWith(ASSETS_PATH)) {
+        event.respondWith(cacheFirst(request));
+    }
+});